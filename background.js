@@ -0,0 +1,66 @@
+"use strict";
+
+// Content scripts run in the jpdb.io page's origin, so their requests to a
+// local AnkiConnect are subject to CORS and Private Network Access. They're
+// sent from here instead, with the host permissions of the extension.
+// Only origins the extension was granted are fetched: the defaults in the
+// manifest, or another AnkiConnect URL allowed on the options page.
+
+// The match pattern covering url, or null if it isn't an http(s) URL
+function getOriginPattern(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === "http:" || protocol === "https:" ? `${origin}/*` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function isGranted(url) {
+  const pattern = getOriginPattern(url);
+  return !!pattern && chrome.permissions.contains({ origins: [pattern] });
+}
+
+async function ankiRequest({ url, body }) {
+  if (!getOriginPattern(url)) return { error: `${url} isn't an http(s) URL` };
+  if (!(await isGranted(url))) {
+    return {
+      error: `No permission to reach ${url}. Allow it on the extension's options page.`,
+    };
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { method: "POST", body: JSON.stringify(body) });
+  } catch (error) {
+    return { error: `Can't reach ${url}: ${error.message}` };
+  }
+  if (!response.ok) {
+    return { error: `Anki endpoint returned ${response.status}` };
+  }
+  const { result, error } = await response.json();
+  return { result, error };
+}
+
+// Opens the options page to ask for the permission, which needs a click there
+async function checkAnkiPermission({ url }) {
+  if (await isGranted(url)) return { granted: true };
+  await chrome.runtime.openOptionsPage();
+  return { granted: false };
+}
+
+const MESSAGE_HANDLERS = {
+  ankiRequest,
+  ankiPermission: checkAnkiPermission,
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = MESSAGE_HANDLERS[message?.type];
+  if (!handler) return false;
+
+  handler(message)
+    .then(sendResponse)
+    .catch((error) => sendResponse({ error: error.message || String(error) }));
+  // Keeps the channel open for the async response
+  return true;
+});
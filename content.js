@@ -1,23 +1,9 @@
 "use strict";
 
 //#region Config + Initial Setup
-// Configuration object with default values
-const CONFIG = {
-  IMAGE_WIDTH: "400px",
-  WIDE_MODE: true,
-  ARROW_WIDTH: "45px",
-  ARROW_HEIGHT: "35px",
-  PAGE_WIDTH: "75rem",
-  SOUND_VOLUME: 80,
-  ENABLE_EXAMPLE_TRANSLATION: true,
-  SENTENCE_FONT_SIZE: "120%",
-  TRANSLATION_FONT_SIZE: "85%",
-  COLORED_SENTENCE_TEXT: true,
-  AUTO_PLAY_SOUND: true,
-  NUMBER_OF_PRELOADS: 1,
-  VOCAB_SIZE: "250%",
-  MINIMUM_EXAMPLE_LENGTH: 0,
-};
+// Configuration object with default values, from the shared schema in
+// settings.js
+const CONFIG = getSettingDefaults();
 
 // State management object
 const state = {
@@ -31,7 +17,50 @@ const state = {
   exactSearch: false,
   error: false,
   currentlyPlayingAudio: false,
+  audioLoop: null, // { url, a, b } in seconds, b is null until it's set
+  revealedExample: null, // Word and example whose hidden text was revealed
+  revealTimer: null,
+  autoPlayedCard: null,
   vocabContent: null,
+  vocabData: { entries: [], kanjiMap: new Map(), kanaMap: new Map() },
+  wordLists: [],
+  activeWordList: "genki",
+  wordListVersion: null,
+  fetchedExamples: [],
+  favorites: [],
+  rankingVersion: null,
+  ranking: null, // Set by loadRanking
+  knownWords: new Set(),
+  knownWordsVersion: null,
+  hidden: { examples: [], decks: [] },
+  providerSettings: { provider: "immersionkit", baseUrls: {} },
+  offlinePacks: [],
+  localMediaUrls: new Map(),
+  prefetch: { total: 0, ready: 0, failed: 0 },
+  prefetchedWords: new Set(), // Refreshed during this page's session
+  warmUp: {
+    running: false,
+    total: 0,
+    done: 0,
+    skipped: 0,
+    blank: 0,
+    failures: [],
+  },
+  deckFilter: { include: [], exclude: [], categories: {} },
+  filteredOutCount: 0,
+  keybindings: {},
+  baseConfig: getSettingDefaults(), // Stored settings, before the profile
+  profiles: { profiles: [], selected: null, bindings: {} },
+  activeProfile: null,
+  sync: {
+    enabled: false,
+    deviceId: null,
+    modified: {}, // key -> last-modified time of synced keys
+    status: "off", // off, syncing, synced, quota or error
+    message: "",
+    lastSynced: null,
+    bytes: 0,
+  },
 };
 
 // Chrome Storage Wrapper
@@ -44,14 +73,29 @@ const chromeStorage = {
     });
   },
   set: async (key, value) => {
-    return new Promise((resolve) => {
+    await new Promise((resolve) => {
       chrome.storage.local.set({ [key]: value }, resolve);
     });
+    await recordSyncedChanges([key]);
   },
-  remove: async (key) => {
-    return new Promise((resolve) => {
-      chrome.storage.local.remove(key, resolve);
+  // Writes all items in one go, so either all of them are stored or, if it
+  // fails, none are
+  setMany: async (items) => {
+    await new Promise((resolve, reject) => {
+      chrome.storage.local.set(items, () =>
+        chrome.runtime.lastError
+          ? reject(new Error(chrome.runtime.lastError.message))
+          : resolve()
+      );
+    });
+    await recordSyncedChanges(Object.keys(items));
+  },
+  // Takes a key or an array of keys
+  remove: async (keys) => {
+    await new Promise((resolve) => {
+      chrome.storage.local.remove(keys, resolve);
     });
+    await recordSyncedChanges([].concat(keys));
   },
   getAll: async () => {
     return new Promise((resolve) => {
@@ -90,18 +134,169 @@ function addElement(parent, tag, attributes) {
 /*
 IndexedDBManager is a system for storing and managing data locally in the browser.
 It's used to cache the responses from the ImmersionKit API & store them permanently.
+It also holds imported offline packs: their examples live in "offlineStore"
+(keyed by keyword) and their images/audio in "mediaStore" (keyed by URL).
+Packs can share media, so each media entry lists the packs using it in
+"packs" and is only deleted once none are left.
+Imported word lists live in "wordListStore" (keyed by id).
+
+Cached entries are evicted by CONFIG.CACHE_TTL_DAYS (age since fetching) and
+CONFIG.CACHE_MAX_ENTRIES (least recently used first). 0 disables either one.
+When each entry was last used is kept in the small "accessStore" (keyed by
+keyword), so a cache hit doesn't rewrite the whole entry.
 */
 const IndexedDBManager = {
-  MAX_ENTRIES: 100000000,
-  EXPIRATION_TIME: 30 * 24 * 60 * 60 * 1000 * 12 * 10000, // 10000 years in milliseconds
+  get MAX_ENTRIES() {
+    return CONFIG.CACHE_MAX_ENTRIES > 0 ? CONFIG.CACHE_MAX_ENTRIES : Infinity;
+  },
+  get EXPIRATION_TIME() {
+    return CONFIG.CACHE_TTL_DAYS > 0
+      ? CONFIG.CACHE_TTL_DAYS * 24 * 60 * 60 * 1000
+      : Infinity;
+  },
+
+  /*
+  Schema migrations. MIGRATIONS[n] upgrades the database from version n to
+  n + 1, and the database version is MIGRATIONS.length. They run in order in
+  the upgrade transaction, so a migration can add stores and indexes without
+  wiping the cache. To rewrite existing entries, a migration returns
+  { storeName: (entry) => updatedEntry }. Once every pending migration has
+  run, each store is rewritten in a single pass with their updates applied in
+  order, so one migration's changes can't overwrite another's.
+  Only ever append to this list.
+  */
+  MIGRATIONS: [
+    // 0 -> 1: the response cache
+    (db) => {
+      if (!db.objectStoreNames.contains("dataStore")) {
+        db.createObjectStore("dataStore", { keyPath: "keyword" });
+      }
+    },
+
+    // 1 -> 2: offline packs
+    (db) => {
+      if (!db.objectStoreNames.contains("offlineStore")) {
+        db.createObjectStore("offlineStore", { keyPath: "keyword" });
+      }
+      if (!db.objectStoreNames.contains("mediaStore")) {
+        db.createObjectStore("mediaStore", { keyPath: "url" });
+      }
+    },
+
+    // 2 -> 3: eviction indexes. Entries without lastAccessed wouldn't show
+    // up in its index, so older entries get it from their timestamp.
+    (db, transaction) => {
+      const dataStore = transaction.objectStore("dataStore");
+      if (!dataStore.indexNames.contains("timestamp")) {
+        dataStore.createIndex("timestamp", "timestamp");
+      }
+      if (!dataStore.indexNames.contains("lastAccessed")) {
+        dataStore.createIndex("lastAccessed", "lastAccessed");
+        return {
+          dataStore: (entry) => ({
+            ...entry,
+            lastAccessed: entry.timestamp || Date.now(),
+          }),
+        };
+      }
+    },
+
+    // 3 -> 4: index entries by the decks their examples come from
+    (db, transaction) => {
+      const dataStore = transaction.objectStore("dataStore");
+      if (!dataStore.indexNames.contains("deck_name")) {
+        dataStore.createIndex("deck_name", "deck_names", { multiEntry: true });
+      }
+      return {
+        dataStore: (entry) => ({
+          ...entry,
+          deck_names: IndexedDBManager.getDeckNames(entry.data),
+        }),
+      };
+    },
+
+    // 4 -> 5: imported graded word lists
+    (db) => {
+      if (!db.objectStoreNames.contains("wordListStore")) {
+        db.createObjectStore("wordListStore", { keyPath: "id" });
+      }
+    },
+
+    // 5 -> 6: last access times move out of the entries into their own store
+    (db, transaction) => {
+      const dataStore = transaction.objectStore("dataStore");
+      if (dataStore.indexNames.contains("lastAccessed")) {
+        dataStore.deleteIndex("lastAccessed");
+      }
+      const accessStore = db.createObjectStore("accessStore", {
+        keyPath: "keyword",
+      });
+      accessStore.createIndex("lastAccessed", "lastAccessed");
+      return {
+        dataStore: (entry) => {
+          accessStore.put({
+            keyword: entry.keyword,
+            lastAccessed: entry.lastAccessed || entry.timestamp || Date.now(),
+          });
+          return entry;
+        },
+      };
+    },
+  ],
+
+  // Rewrites every entry in a store. Returning null deletes the entry.
+  updateEntries(store, update) {
+    store.openCursor().onsuccess = function (event) {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const updated = update(cursor.value);
+      if (updated === null) {
+        cursor.delete();
+      } else if (updated !== cursor.value) {
+        cursor.update(updated);
+      }
+      cursor.continue();
+    };
+  },
+
+  getDeckNames(data) {
+    const deckNames = new Set();
+    for (const item of data?.data || []) {
+      for (const example of item.examples || []) {
+        if (example.deck_name) deckNames.add(example.deck_name);
+      }
+    }
+    return [...deckNames];
+  },
 
   open() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open("ImmersionKitDB", 1);
-      request.onupgradeneeded = function (event) {
+      const request = indexedDB.open("ImmersionKitDB", this.MIGRATIONS.length);
+      request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        if (!db.objectStoreNames.contains("dataStore")) {
-          db.createObjectStore("dataStore", { keyPath: "keyword" });
+        const transaction = event.target.transaction;
+        const updates = {};
+        for (
+          let version = event.oldVersion;
+          version < this.MIGRATIONS.length;
+          version++
+        ) {
+          console.log(`Upgrading IndexedDB to version ${version + 1}`);
+          const storeUpdates = this.MIGRATIONS[version](db, transaction);
+          for (const [storeName, update] of Object.entries(
+            storeUpdates || {}
+          )) {
+            (updates[storeName] ||= []).push(update);
+          }
+        }
+
+        for (const [storeName, storeUpdates] of Object.entries(updates)) {
+          this.updateEntries(transaction.objectStore(storeName), (entry) =>
+            storeUpdates.reduce(
+              (current, update) => (current === null ? null : update(current)),
+              entry
+            )
+          );
         }
       };
       request.onsuccess = function (event) {
@@ -138,6 +333,7 @@ const IndexedDBManager = {
             await this.deleteEntry(db, keyword);
             resolve(null);
           } else {
+            this.touch(db, result);
             resolve(result.data);
           }
         } else {
@@ -150,13 +346,36 @@ const IndexedDBManager = {
     });
   },
 
-  async deleteEntry(db, keyword) {
+  // Marks an entry as recently used for LRU eviction
+  touch(db, entry) {
+    const transaction = db.transaction(["accessStore"], "readwrite");
+    transaction
+      .objectStore("accessStore")
+      .put({ keyword: entry.keyword, lastAccessed: Date.now() });
+    transaction.onerror = (e) =>
+      console.error("IndexedDB touch error: " + e.target.errorCode);
+  },
+
+  async getEntry(db, keyword) {
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["dataStore"], "readwrite");
-      const store = transaction.objectStore("dataStore");
-      const request = store.delete(keyword);
-      request.onsuccess = () => resolve();
+      const transaction = db.transaction(["dataStore"], "readonly");
+      const request = transaction.objectStore("dataStore").get(keyword);
+      request.onsuccess = (event) => resolve(event.target.result || null);
       request.onerror = (e) =>
+        reject("IndexedDB get error: " + e.target.errorCode);
+    });
+  },
+
+  async deleteEntry(db, keyword) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(
+        ["dataStore", "accessStore"],
+        "readwrite"
+      );
+      transaction.objectStore("dataStore").delete(keyword);
+      transaction.objectStore("accessStore").delete(keyword);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (e) =>
         reject("IndexedDB delete error: " + e.target.errorCode);
     });
   },
@@ -195,8 +414,9 @@ const IndexedDBManager = {
           return;
         }
 
-        // Transform the JSON object to slim it down
-        let slimData = {};
+        // Transform the JSON object to slim it down. word_list is kept so
+        // cached examples can be re-ranked.
+        let slimData = { rankingVersion: data?.rankingVersion ?? null };
         if (data && data.data) {
           slimData.data = data.data.map((item) => {
             const slimItem = {};
@@ -212,6 +432,9 @@ const IndexedDBManager = {
                 sentence: example.sentence,
                 translation: example.translation,
                 deck_name: example.deck_name,
+                category: example.category,
+                word_list: example.word_list,
+                api_index: example.api_index,
               }));
             }
 
@@ -225,37 +448,316 @@ const IndexedDBManager = {
           return;
         }
 
-        const entries = await this.getAll(db);
-        const transaction = db.transaction(["dataStore"], "readwrite");
+        const transaction = db.transaction(
+          ["dataStore", "accessStore"],
+          "readwrite"
+        );
         const store = transaction.objectStore("dataStore");
+        const accessStore = transaction.objectStore("accessStore");
 
-        if (entries.length >= this.MAX_ENTRIES) {
-          entries.sort((a, b) => a.timestamp - b.timestamp);
-          const entriesToDelete = entries.slice(
-            0,
-            entries.length - this.MAX_ENTRIES + 1
-          );
-          entriesToDelete.forEach((entry) => {
-            store.delete(entry.keyword).onerror = function () {
-              console.error("Failed to delete entry:", entry.keyword);
-            };
-          });
-        }
-
+        const now = Date.now();
         const addRequest = store.put({
           keyword,
           data: slimData,
-          timestamp: Date.now(),
+          deck_names: this.getDeckNames(slimData),
+          timestamp: now,
         });
-        addRequest.onsuccess = () => resolve();
         addRequest.onerror = (e) =>
           reject("IndexedDB save error: " + e.target.errorCode);
+        accessStore.put({ keyword, lastAccessed: now });
+
+        // Evict the least recently used entries if there are too many
+        const maxEntries = this.MAX_ENTRIES;
+        if (maxEntries !== Infinity) {
+          store.count().onsuccess = function (event) {
+            let excess = event.target.result - maxEntries;
+            if (excess <= 0) return;
+            accessStore.index("lastAccessed").openCursor().onsuccess =
+              function (cursorEvent) {
+                const cursor = cursorEvent.target.result;
+                if (!cursor || excess <= 0) return;
+                if (cursor.value.keyword !== keyword) {
+                  store.delete(cursor.value.keyword);
+                  cursor.delete();
+                  excess--;
+                }
+                cursor.continue();
+              };
+          };
+        }
+
+        transaction.oncomplete = () => resolve();
       } catch (error) {
         reject(`Error in saveToIndexedDB: ${error}`);
       }
     });
   },
 
+  // Replaces the examples of an entry without touching its timestamps
+  async updateExamples(db, keyword, examples, rankingVersion) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["dataStore"], "readwrite");
+      const store = transaction.objectStore("dataStore");
+      store.get(keyword).onsuccess = function (event) {
+        const entry = event.target.result;
+        if (!entry?.data?.data?.[0]) return;
+        entry.data.rankingVersion = rankingVersion;
+        entry.data.data[0].examples = examples;
+        store.put(entry);
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (e) =>
+        reject("IndexedDB update error: " + e.target.errorCode);
+    });
+  },
+
+  // Deletes everything older than the TTL in one pass over the timestamp index
+  async evictExpired(db) {
+    const expirationTime = this.EXPIRATION_TIME;
+    if (expirationTime === Infinity) return 0;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(
+        ["dataStore", "accessStore"],
+        "readwrite"
+      );
+      const accessStore = transaction.objectStore("accessStore");
+      const range = IDBKeyRange.upperBound(Date.now() - expirationTime);
+      let deleted = 0;
+      transaction
+        .objectStore("dataStore")
+        .index("timestamp")
+        .openCursor(range).onsuccess = function (event) {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        accessStore.delete(cursor.value.keyword);
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve(deleted);
+      transaction.onerror = (e) =>
+        reject("IndexedDB eviction error: " + e.target.errorCode);
+    });
+  },
+
+  async getStats(db) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["dataStore"], "readonly");
+      const store = transaction.objectStore("dataStore");
+      const stats = {
+        count: 0,
+        approximateSize: 0,
+        oldest: null,
+        newest: null,
+      };
+
+      store.count().onsuccess = (event) => (stats.count = event.target.result);
+      store.index("timestamp").openCursor(null, "next").onsuccess = (event) =>
+        (stats.oldest = event.target.result?.value || null);
+      store.index("timestamp").openCursor(null, "prev").onsuccess = (event) =>
+        (stats.newest = event.target.result?.value || null);
+
+      // Size is approximated by the length of the serialized entries
+      store.openCursor().onsuccess = function (event) {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        stats.approximateSize += JSON.stringify(cursor.value).length * 2;
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve(stats);
+      transaction.onerror = (e) =>
+        reject("IndexedDB stats error: " + e.target.errorCode);
+    });
+  },
+
+  // "deck:<name>" finds the words with examples from that deck
+  async searchKeywords(db, query, limit) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["dataStore"], "readonly");
+      const store = transaction.objectStore("dataStore");
+
+      if (query.startsWith("deck:")) {
+        const request = store
+          .index("deck_name")
+          .getAllKeys(query.slice("deck:".length).trim(), limit);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (e) =>
+          reject("IndexedDB search error: " + e.target.errorCode);
+        return;
+      }
+
+      const request = store.getAllKeys();
+      request.onsuccess = (event) =>
+        resolve(
+          event.target.result
+            .filter((keyword) => keyword.includes(query))
+            .slice(0, limit)
+        );
+      request.onerror = (e) =>
+        reject("IndexedDB search error: " + e.target.errorCode);
+    });
+  },
+
+  async getOfflineExamples(db, keyword) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["offlineStore"], "readonly");
+      const request = transaction.objectStore("offlineStore").get(keyword);
+      request.onsuccess = (event) =>
+        resolve(event.target.result?.examples || []);
+      request.onerror = (e) =>
+        reject("IndexedDB offline get error: " + e.target.errorCode);
+    });
+  },
+
+  async getWordLists(db) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["wordListStore"], "readonly");
+      const request = transaction.objectStore("wordListStore").getAll();
+      request.onsuccess = (event) => resolve(event.target.result || []);
+      request.onerror = (e) =>
+        reject("IndexedDB word list error: " + e.target.errorCode);
+    });
+  },
+
+  async getWordList(db, id) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["wordListStore"], "readonly");
+      const request = transaction.objectStore("wordListStore").get(id);
+      request.onsuccess = (event) => resolve(event.target.result || null);
+      request.onerror = (e) =>
+        reject("IndexedDB word list error: " + e.target.errorCode);
+    });
+  },
+
+  async saveWordList(db, wordList) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["wordListStore"], "readwrite");
+      transaction.objectStore("wordListStore").put(wordList);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (e) =>
+        reject("IndexedDB word list save error: " + e.target.errorCode);
+    });
+  },
+
+  async deleteWordList(db, id) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["wordListStore"], "readwrite");
+      transaction.objectStore("wordListStore").delete(id);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (e) =>
+        reject("IndexedDB word list delete error: " + e.target.errorCode);
+    });
+  },
+
+  async getMedia(db, url) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["mediaStore"], "readonly");
+      const request = transaction.objectStore("mediaStore").get(url);
+      request.onsuccess = (event) => resolve(event.target.result || null);
+      request.onerror = (e) =>
+        reject("IndexedDB media get error: " + e.target.errorCode);
+    });
+  },
+
+  // Entries saved before media could be shared have a single "pack"
+  getMediaPacks(entry) {
+    return entry.packs || (entry.pack ? [entry.pack] : []);
+  },
+
+  // Takes packName off every media entry that isn't in keepUrls, deleting
+  // the ones no other pack uses
+  releaseMedia(mediaStore, packName, keepUrls = new Set()) {
+    mediaStore.openCursor().onsuccess = function (event) {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const packs = IndexedDBManager.getMediaPacks(cursor.value);
+      if (packs.includes(packName) && !keepUrls.has(cursor.value.url)) {
+        const remaining = packs.filter((pack) => pack !== packName);
+        if (remaining.length === 0) {
+          cursor.delete();
+        } else {
+          const { pack, ...entry } = cursor.value;
+          cursor.update({ ...entry, packs: remaining });
+        }
+      }
+      cursor.continue();
+    };
+  },
+
+  // words: { keyword: [example] }, media: [{ url, blob }]
+  // Examples and media from an earlier import of the same pack are replaced.
+  async saveOfflinePack(db, packName, words, media) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(
+        ["offlineStore", "mediaStore"],
+        "readwrite"
+      );
+      const offlineStore = transaction.objectStore("offlineStore");
+      const mediaStore = transaction.objectStore("mediaStore");
+
+      for (const [keyword, examples] of Object.entries(words)) {
+        offlineStore.get(keyword).onsuccess = function (event) {
+          const existing = (event.target.result?.examples || []).filter(
+            (example) => example.pack !== packName
+          );
+          offlineStore.put({ keyword, examples: [...existing, ...examples] });
+        };
+      }
+
+      const urls = new Set(media.map((item) => item.url));
+      IndexedDBManager.releaseMedia(mediaStore, packName, urls);
+      for (const item of media) {
+        mediaStore.get(item.url).onsuccess = function (event) {
+          const existing = event.target.result;
+          const packs = existing
+            ? IndexedDBManager.getMediaPacks(existing)
+            : [];
+          if (!packs.includes(packName)) packs.push(packName);
+          mediaStore.put({ ...item, packs });
+        };
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (e) =>
+        reject("IndexedDB offline pack error: " + e.target.errorCode);
+    });
+  },
+
+  async deleteOfflinePack(db, packName) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(
+        ["offlineStore", "mediaStore"],
+        "readwrite"
+      );
+
+      transaction.objectStore("offlineStore").openCursor().onsuccess =
+        function (event) {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          const examples = cursor.value.examples.filter(
+            (example) => example.pack !== packName
+          );
+          if (examples.length === 0) {
+            cursor.delete();
+          } else if (examples.length !== cursor.value.examples.length) {
+            cursor.update({ ...cursor.value, examples });
+          }
+          cursor.continue();
+        };
+
+      IndexedDBManager.releaseMedia(
+        transaction.objectStore("mediaStore"),
+        packName
+      );
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (e) =>
+        reject("IndexedDB offline pack delete error: " + e.target.errorCode);
+    });
+  },
+
   async delete() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.deleteDatabase("ImmersionKitDB");
@@ -278,737 +780,4146 @@ const IndexedDBManager = {
 };
 //#endregion
 
-// #region API Functions
+// #region Example Providers
+/*
+Example providers are the sources examples come from. Every provider returns
+examples shaped like Immersion Kit's:
+  { image_url, sound_url, sentence, translation, deck_name, word_list?, category? }
+wrapped as { data: [{ category_count, examples }] }, so ranking, validation,
+caching and rendering work the same way regardless of the source.
+
+A provider looks like:
+  {
+    id, name, defaultBaseUrl,
+    lookup(keyword, baseUrl),            // resolves to the wrapped result
+    getPageUrl(vocab, exactSearch, baseUrl), // optional link for the embed
+  }
+and is added with registerExampleProvider().
+*/
+const EXAMPLE_PROVIDERS = {};
+const DEFAULT_PROVIDER_ID = "immersionkit";
+const PROVIDER_SETTINGS_KEY = "PROVIDER_SETTINGS";
 
-// Vocabulary sorting constants and utilities
-// It uses sorted-vocab.csv (a list of Genki words) to sort the examples.
-// If the current word is found in that list, it will try to find examples
-// with vocabulary at similar lesson levels or below.
-const SORT_WEIGHTS = {
-  length: 0.3, // Moderate emphasis on sentence length
-  vocab: 0.5, // Stronger emphasis on known vocabulary
-  proximity: 0.2, // Moderate emphasis on words from same lesson
-};
-// The weights are conservative because the segmentation from the API is
-// kind of inaccurate, especially for verbs.
+function registerExampleProvider(provider) {
+  EXAMPLE_PROVIDERS[provider.id] = provider;
+}
 
-const OPTIMAL_LENGTH = 30; // Target sentence length
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+}
 
-// Process vocabulary list from CSV content
-function processVocabList(content) {
-  if (!content) {
-    return {
-      entries: [],
-      kanjiMap: new Map(),
-      kanaMap: new Map(),
-    };
+// Wraps plain examples for providers that don't report category counts
+function createLookupResult(examples) {
+  const category_count = {};
+  for (const example of examples) {
+    const category = getExampleCategory(example) || "other";
+    category_count[category] = (category_count[category] || 0) + 1;
   }
+  return { data: [{ category_count, examples }] };
+}
 
-  const entries = [];
-  const kanjiMap = new Map();
-  const kanaMap = new Map();
+registerExampleProvider({
+  id: "immersionkit",
+  name: "Immersion Kit",
+  // Point this at a mirror or a local stand-in server to use something else
+  defaultBaseUrl: "https://api.immersionkit.com",
+  lookup(keyword, baseUrl) {
+    return fetchJson(
+      `${baseUrl}/look_up_dictionary?keyword=${encodeURIComponent(keyword)}`
+    );
+  },
+  getPageUrl(vocab, exactSearch) {
+    return `https://www.immersionkit.com/dictionary?keyword=${encodeURIComponent(
+      vocab
+    )}${exactSearch ? "&exact=true" : ""}`;
+  },
+});
 
-  content.split("\n").forEach((line) => {
-    const parts = line.split(",");
-    if (parts.length >= 6) {
-      const [, kana, kanji, , , lesson] = parts.map((p) => p.trim());
-      if (kana && lesson) {
-        const lessonNum = getLessonNumber(lesson);
-        const entry = {
-          kana,
-          kanji: kanji || null,
-          lesson: lessonNum,
-        };
-        entries.push(entry);
+// Any server that returns an array of examples (or { examples: [...] }).
+// "{keyword}" in the URL is replaced with the search term.
+registerExampleProvider({
+  id: "json",
+  name: "Custom JSON",
+  defaultBaseUrl: "http://localhost:8000/examples?keyword={keyword}",
+  async lookup(keyword, baseUrl) {
+    const jsonData = await fetchJson(
+      baseUrl.replace("{keyword}", encodeURIComponent(keyword))
+    );
+    const examples = Array.isArray(jsonData) ? jsonData : jsonData?.examples;
+    return createLookupResult(Array.isArray(examples) ? examples : []);
+  },
+});
 
-        if (kanji) {
-          kanjiMap.set(kanji, lessonNum);
-        }
-        kanaMap.set(kana, lessonNum);
-      }
-    }
-  });
+function normalizeProviderSettings(settings) {
+  return {
+    provider: EXAMPLE_PROVIDERS[settings?.provider]
+      ? settings.provider
+      : DEFAULT_PROVIDER_ID,
+    baseUrls: { ...settings?.baseUrls },
+  };
+}
 
-  return { entries, kanjiMap, kanaMap };
+async function loadProviderSettings() {
+  state.providerSettings = normalizeProviderSettings(
+    await chromeStorage.get(PROVIDER_SETTINGS_KEY)
+  );
 }
 
-function getLessonNumber(lesson) {
-  if (lesson === "会G") return 0;
-  const match = lesson.match(/L(\d+)/);
-  return match ? parseInt(match[1]) : Infinity;
+async function storeProviderSettings(settings) {
+  state.providerSettings = normalizeProviderSettings(settings);
+  await chromeStorage.set(PROVIDER_SETTINGS_KEY, state.providerSettings);
 }
 
-function calculateSentenceScore(
-  sentence,
-  wordList,
-  kanjiMap,
-  kanaMap,
-  targetWord,
-  targetLesson
-) {
-  if (wordList.length === 0) return 0;
+function getExampleProvider() {
+  return (
+    EXAMPLE_PROVIDERS[state.providerSettings.provider] ||
+    EXAMPLE_PROVIDERS[DEFAULT_PROVIDER_ID]
+  );
+}
 
-  const otherWords = wordList.filter((word) => word !== targetWord);
-  if (otherWords.length === 0) return 0;
+function getProviderBaseUrl(provider = getExampleProvider()) {
+  const baseUrl =
+    state.providerSettings.baseUrls[provider.id] || provider.defaultBaseUrl;
+  return baseUrl.replace(/\/+$/, "");
+}
 
-  let knownWords = 0;
-  let proximitySum = 0;
-  let proximityCounts = 0;
+// Immersion Kit at its default URL keeps the bare keyword so existing caches
+// stay valid. Other sources and base URLs get their own keys, so switching to
+// another server never returns the previous one's results.
+function getProviderCacheKey(provider, keyword) {
+  const baseUrl = getProviderBaseUrl(provider);
+  return provider.id === DEFAULT_PROVIDER_ID &&
+    baseUrl === provider.defaultBaseUrl
+    ? keyword
+    : `${provider.id}:${baseUrl}:${keyword}`;
+}
+// #endregion
 
-  otherWords.forEach((word) => {
-    const lessonNum = kanjiMap.get(word) ?? kanaMap.get(word) ?? Infinity;
-    if (lessonNum <= targetLesson) {
-      knownWords++;
-      const lessonDiff = targetLesson - lessonNum;
-      const proximityScore = Math.exp(-lessonDiff / 2);
-      proximitySum += proximityScore;
-      proximityCounts++;
+// #region Offline Packs
+/*
+An offline pack is a zip file or a folder containing a pack.json and the media
+it references:
+  {
+    "name": "My pack",
+    "words": {
+      "食べる": [
+        {
+          "sentence": "…", "translation": "…", "deck_name": "…",
+          "image": "media/taberu.jpg",  // path inside the pack
+          "sound": "media/taberu.mp3",
+          "image_url": "https://…",     // optional, the URL the file stands in for
+          "sound_url": "https://…"
+        }
+      ]
     }
-  });
+  }
+Media with an original URL is stored under that URL, so any example using it
+(cached from the network or not) plays from the local copy. Media without one
+gets an "offline-pack:" URL that only resolves locally.
+The list of imported packs is kept in chrome.storage under "OFFLINE_PACKS".
+*/
+const OFFLINE_PACKS_KEY = "OFFLINE_PACKS";
+const OFFLINE_URL_PREFIX = "offline-pack:";
+const MEDIA_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  mp3: "audio/mpeg",
+  ogg: "audio/ogg",
+  wav: "audio/wav",
+  m4a: "audio/mp4",
+};
 
-  const vocabScore = 1 - Math.exp(-knownWords / 5);
-  const proximityScore =
-    proximityCounts > 0 ? proximitySum / proximityCounts : 0;
+async function loadOfflinePacks() {
+  state.offlinePacks = (await chromeStorage.get(OFFLINE_PACKS_KEY)) || [];
+}
 
-  let lengthScore;
-  if (sentence.length <= OPTIMAL_LENGTH) {
-    lengthScore = 1.0;
-  } else {
-    const excess = sentence.length - OPTIMAL_LENGTH;
-    lengthScore = Math.exp(-excess / 20);
-  }
+function isOfflineUrl(url) {
+  return !!url && url.startsWith(OFFLINE_URL_PREFIX);
+}
 
-  return (
-    vocabScore * SORT_WEIGHTS.vocab +
-    lengthScore * SORT_WEIGHTS.length +
-    proximityScore * SORT_WEIGHTS.proximity
-  );
+// Object URLs keep their blobs alive until they're revoked, so they're
+// released when the word changes or the packs do
+function releaseLocalMediaUrls() {
+  for (const objectUrl of state.localMediaUrls.values()) {
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+  }
+  state.localMediaUrls.clear();
 }
 
-function rankExamples(examples, targetWord, vocabData) {
-  const { kanjiMap, kanaMap } = vocabData;
-  const targetLesson = kanjiMap.get(targetWord) ?? kanaMap.get(targetWord);
+// Returns an object URL for media imported from a pack, or null
+async function getLocalMediaUrl(url) {
+  if (!url || state.offlinePacks.length === 0) return null;
+  if (state.localMediaUrls.has(url)) return state.localMediaUrls.get(url);
 
-  if (targetLesson === undefined) return examples;
+  let objectUrl = null;
+  try {
+    const db = await IndexedDBManager.open();
+    const media = await IndexedDBManager.getMedia(db, url);
+    objectUrl = media ? URL.createObjectURL(media.blob) : null;
+  } catch (error) {
+    console.error("Error loading local media:", error);
+  }
+  state.localMediaUrls.set(url, objectUrl);
+  return objectUrl;
+}
 
-  const scoredExamples = examples.map((example) => ({
-    example,
-    score: calculateSentenceScore(
-      example.sentence,
-      example.word_list,
-      kanjiMap,
-      kanaMap,
-      targetWord,
-      targetLesson
-    ),
-  }));
+// Minimal zip reader: stored and deflated entries, no zip64 or encryption.
+// Returns a Map of path -> Blob.
+async function readZipEntries(file) {
+  const buffer = await file.arrayBuffer();
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record is at the end, after an optional comment
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error("Not a valid zip file");
 
-  scoredExamples.sort((a, b) => b.score - a.score);
-  return scoredExamples.map(({ example }) => example);
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  if (offset === 0xffffffff) throw new Error("Zip64 files aren't supported");
+
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(
+      new Uint8Array(buffer, offset + 46, nameLength)
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+
+    const dataStart =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = new Blob([new Uint8Array(buffer, dataStart, compressedSize)]);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      const stream = data
+        .stream()
+        .pipeThrough(new DecompressionStream("deflate-raw"));
+      entries.set(name, await new Response(stream).blob());
+    } else {
+      console.warn(`Skipping "${name}": unsupported compression ${method}`);
+    }
+  }
+  return entries;
 }
 
-async function getImmersionKitData(vocab, exactSearch) {
-  const searchVocab = exactSearch ? `「${vocab}」` : vocab;
-  const url = `https://api.immersionkit.com/look_up_dictionary?keyword=${encodeURIComponent(
-    searchVocab
-  )}`;
-  const maxRetries = 5;
-  let attempt = 0;
+function readFolderEntries(fileList) {
+  const entries = new Map();
+  for (const file of fileList) {
+    entries.set(file.webkitRelativePath || file.name, file);
+  }
+  return entries;
+}
 
-  async function fetchData() {
-    try {
-      const db = await IndexedDBManager.open();
-      const cachedData = await IndexedDBManager.get(db, searchVocab);
-
-      if (
-        cachedData &&
-        Array.isArray(cachedData.data) &&
-        cachedData.data.length > 0
-      ) {
-        // Just use the cached examples directly without ranking since they were already ranked
-        state.examples = cachedData.data[0].examples;
-        state.apiDataFetched = true;
-        return;
-      }
+async function importOfflinePack(entries, fallbackName, onProgress) {
+  const packPath = [...entries.keys()]
+    .filter((path) => path.split("/").pop() === "pack.json")
+    .sort((a, b) => a.length - b.length)[0];
+  if (!packPath) throw new Error("No pack.json found");
 
-      try {
-        const response = await fetch(url);
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const jsonData = await response.json();
-
-        const validationError = validateApiResponse(jsonData);
-        if (!validationError) {
-          // Rank the examples before saving to cache
-          const vocabData = processVocabList(state.vocabContent);
-          state.examples = rankExamples(
-            jsonData.data[0].examples,
-            vocab,
-            vocabData
-          );
-          state.apiDataFetched = true;
-
-          // Create a slim version with the ranked examples for saving
-          const slimData = {
-            data: [
-              {
-                category_count: jsonData.data[0].category_count,
-                examples: state.examples,
-              },
-            ],
-          };
-          await IndexedDBManager.save(db, searchVocab, slimData);
-        } else {
-          attempt++;
-          if (attempt < maxRetries) {
-            await new Promise((resolve) => setTimeout(resolve, 2000));
-            return fetchData();
-          } else {
-            throw new Error(
-              `Invalid API response after ${maxRetries} attempts: ${validationError}`
-            );
-          }
-        }
-      } catch (error) {
-        throw new Error(`Fetch error: ${error.message}`);
-      }
-    } catch (error) {
-      console.error(`Error in fetchData: ${error}`);
-      state.error = true;
-      embedImageAndPlayAudio();
-      throw error;
+  const baseDir = packPath.slice(0, -"pack.json".length);
+  const pack = JSON.parse(await entries.get(packPath).text());
+  if (!pack || typeof pack.words !== "object") {
+    throw new Error('pack.json is missing "words"');
+  }
+  const packName = String(pack.name || fallbackName);
+
+  const words = {};
+  const media = [];
+  let missingFiles = 0;
+
+  // Stores the file at `path` and returns the URL examples should use for it
+  const addMedia = (path, originalUrl) => {
+    if (!path) return originalUrl || null;
+
+    const blob = entries.get(baseDir + path.replace(/^\.?\//, ""));
+    if (!blob) {
+      missingFiles++;
+      return originalUrl || null;
     }
+
+    const url = originalUrl || `${OFFLINE_URL_PREFIX}${packName}/${path}`;
+    const extension = path.split(".").pop().toLowerCase();
+    media.push({
+      url,
+      blob: new Blob([blob], { type: MEDIA_TYPES[extension] || blob.type }),
+    });
+    return url;
+  };
+
+  const wordEntries = Object.entries(pack.words);
+  wordEntries.forEach(([keyword, examples], index) => {
+    if (!Array.isArray(examples)) return;
+
+    words[keyword] = examples.map((example, exampleIndex) => ({
+      image_url: addMedia(example.image, example.image_url),
+      sound_url: addMedia(example.sound, example.sound_url),
+      sentence: example.sentence || null,
+      translation: example.translation || null,
+      deck_name: example.deck_name || packName,
+      category: example.category,
+      word_list: example.word_list,
+      api_index: exampleIndex,
+      pack: packName,
+    }));
+    onProgress?.(`Reading ${index + 1}/${wordEntries.length} words`);
+  });
+
+  onProgress?.("Saving to IndexedDB");
+  const db = await IndexedDBManager.open();
+  await IndexedDBManager.saveOfflinePack(db, packName, words, media);
+
+  await loadOfflinePacks();
+  const packs = state.offlinePacks.filter((item) => item.name !== packName);
+  packs.push({
+    name: packName,
+    words: Object.keys(words).length,
+    media: media.length,
+    importedAt: Date.now(),
+  });
+  await chromeStorage.set(OFFLINE_PACKS_KEY, packs);
+  state.offlinePacks = packs;
+  releaseLocalMediaUrls();
+
+  return { packName, words: Object.keys(words).length, missingFiles };
+}
+
+async function removeOfflinePack(packName) {
+  const db = await IndexedDBManager.open();
+  await IndexedDBManager.deleteOfflinePack(db, packName);
+
+  state.offlinePacks = state.offlinePacks.filter(
+    (pack) => pack.name !== packName
+  );
+  await chromeStorage.set(OFFLINE_PACKS_KEY, state.offlinePacks);
+  releaseLocalMediaUrls();
+}
+// #endregion
+
+// #region API Functions
+
+// Vocabulary sorting constants and utilities
+// By default it uses sorted-vocab.csv (a list of Genki words) to sort the
+// examples, but any imported graded word list can be picked instead.
+// If the current word is found in that list, it will try to find examples
+// with vocabulary at similar lesson levels or below.
+// The mode, weights and optimal length can be changed in the settings menu
+// and are stored under "RANKING".
+const RANKING_KEY = "RANKING";
+const DEFAULT_RANKING = {
+  mode: "score",
+  weights: {
+    length: 0.3, // Moderate emphasis on sentence length
+    vocab: 0.5, // Stronger emphasis on known vocabulary
+    proximity: 0.2, // Moderate emphasis on words from same lesson
+  },
+  optimalLength: 30, // Target sentence length
+};
+// The weights are conservative because the segmentation from the API is
+// kind of inaccurate, especially for verbs.
+
+const SORT_MODES = {
+  score: "Best score (known words, else word list)",
+  shortest: "Shortest first",
+  longest: "Longest first",
+  deck: "Grouped by deck",
+  random: "Random (stable per word)",
+  original: "Original API order",
+};
+
+function normalizeRanking(ranking) {
+  const toNumber = (value, fallback) =>
+    Number.isFinite(Number(value)) && Number(value) >= 0
+      ? Number(value)
+      : fallback;
+
+  const weights = {};
+  for (const [key, value] of Object.entries(DEFAULT_RANKING.weights)) {
+    weights[key] = toNumber(ranking?.weights?.[key], value);
   }
 
-  await fetchData();
+  return {
+    mode: SORT_MODES[ranking?.mode] ? ranking.mode : DEFAULT_RANKING.mode,
+    weights,
+    optimalLength: toNumber(
+      ranking?.optimalLength,
+      DEFAULT_RANKING.optimalLength
+    ),
+  };
 }
 
-async function findExampleBySentence(sentence, occurrenceIndex) {
-  const searchUrl = `https://api.immersionkit.com/look_up_dictionary?keyword=${encodeURIComponent(
-    `「${sentence}」`
-  )}`;
+async function loadRanking() {
+  state.ranking = normalizeRanking(await chromeStorage.get(RANKING_KEY));
+}
 
-  try {
-    const response = await fetch(searchUrl);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+async function storeRanking(ranking) {
+  state.ranking = normalizeRanking(ranking);
+  await chromeStorage.set(RANKING_KEY, state.ranking);
+  updateRankingVersion();
+}
+
+/*
+RFC 4180 CSV parser. Fields can be quoted, quoted fields can contain the
+delimiter, line breaks and escaped quotes (""), and lines can end in CRLF or
+LF. A leading BOM is dropped. Rows that break the format (an unterminated
+quote, or text between a closing quote and the next delimiter) are skipped
+and reported in errors with their line number, so one bad row doesn't take
+the rest of the file with it. When a quoted field with line breaks turns out
+to be broken (it's never closed, or text follows its closing quote), the
+opening quote was most likely a stray one: its row is reported and parsing
+carries on from the next line, instead of losing every line up to the next
+quote.
+*/
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  const errors = [];
+  let row = [];
+  let field = "";
+  let rowError = null;
+  let line = 1;
+  let rowLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (rowError) {
+      errors.push({ line: rowLine, message: rowError });
+    } else if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
     }
-    const jsonData = await response.json();
+    row = [];
+    field = "";
+    rowError = null;
+    rowLine = line;
+  };
 
-    // Look through all examples across all search results
-    let matchingExamples = [];
-    if (jsonData?.data) {
-      for (const data of jsonData.data) {
-        if (data.examples) {
-          matchingExamples = matchingExamples.concat(
-            data.examples.filter((example) => example.sentence === sentence)
-          );
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '"' && field === "") {
+      // Quoted field, runs until a quote that isn't followed by another quote
+      let closed = false;
+      const quoteLine = line;
+      i++;
+      const quoteStart = i;
+      while (i < text.length) {
+        if (text[i] === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          closed = true;
+          i++;
+          break;
+        }
+        if (text[i] === "\n") line++;
+        field += text[i];
+        i++;
+      }
+      const next = text[i];
+      const textAfterQuote =
+        closed &&
+        next !== undefined &&
+        next !== delimiter &&
+        next !== "\n" &&
+        next !== "\r";
+      if (!closed || textAfterQuote) {
+        // A broken field spanning lines was most likely never closed
+        rowError =
+          rowError ||
+          (textAfterQuote && line === quoteLine
+            ? "Unexpected text after a quoted field"
+            : "Unterminated quoted field");
+        // Skip to the end of the line (the opening quote's line, if the
+        // field ran over several) and carry on with the next row
+        if (line !== quoteLine) {
+          i = quoteStart;
+          line = quoteLine;
         }
+        while (i < text.length && text[i] !== "\n" && text[i] !== "\r") i++;
       }
+      continue;
+    }
 
-      if (matchingExamples.length > occurrenceIndex) {
-        return matchingExamples[occurrenceIndex];
+    if (char === delimiter) {
+      row.push(field);
+      field = "";
+      i++;
+    } else if (char === "\r" || char === "\n") {
+      i += char === "\r" && text[i + 1] === "\n" ? 2 : 1;
+      line++;
+      endRow();
+    } else {
+      if (char === '"') {
+        rowError = rowError || "Unexpected quote in an unquoted field";
       }
+      field += char;
+      i++;
     }
-  } catch (error) {
-    console.error("Error finding example by sentence:", error);
   }
 
-  return null;
+  if (field !== "" || row.length > 0 || rowError) endRow();
+  return { rows, errors };
 }
 
-function validateApiResponse(jsonData) {
-  state.error = false;
-  if (!jsonData) {
-    return "Not a valid JSON";
-  }
-  if (!jsonData.data || !jsonData.data[0] || !jsonData.data[0].examples) {
-    return "Missing required data fields";
-  }
+// Process vocabulary list from CSV content.
+// Columns: No., kana, kanji, part of speech, English, lesson
+function processVocabList(content) {
+  if (!content) return buildVocabData([]);
 
-  const categoryCount = jsonData.data[0].category_count;
-  if (!categoryCount) {
-    return "Missing category count";
-  }
+  const { rows, errors } = parseCsv(content);
+  const entries = [];
+  rows.slice(1).forEach((parts, index) => {
+    const [, kana, kanji, , , lesson] = parts.map((p) => p.trim());
+    if (parts.length >= 6 && kana && lesson) {
+      entries.push({
+        kana,
+        kanji: kanji || null,
+        lesson: getLessonNumber(lesson),
+      });
+    } else {
+      errors.push({ line: index + 2, message: "Missing kana or lesson" });
+    }
+  });
 
-  const allZero = Object.values(categoryCount).every((count) => count === 0);
-  if (allZero) {
-    return "Blank API";
+  if (errors.length > 0) {
+    console.log(`Skipped ${errors.length} vocab rows:`, errors);
   }
-
-  return null;
+  return { ...buildVocabData(entries), errors };
 }
-// #endregion
 
-// #region Storage Functions
-async function getStoredData(key) {
-  const storedValue = await chromeStorage.get(key);
-  if (storedValue) {
-    const [image_url, sound_url, sentence] = storedValue.split(",");
-    return {
-      image_url,
-      sound_url,
-      sentence,
-    };
-  }
+// entries: [{ kana, kanji, lesson }], where a lower lesson is learned earlier
+function buildVocabData(entries) {
+  const kanjiMap = new Map();
+  const kanaMap = new Map();
 
-  // Check defaults if no user favorite exists
-  if (DEFAULT_FAVORITES[key]) {
-    const [image_url, sound_url, sentence] = DEFAULT_FAVORITES[key];
-    return {
-      image_url,
-      sound_url,
-      sentence,
-    };
+  for (const { kana, kanji, lesson } of entries) {
+    if (kanji) {
+      kanjiMap.set(kanji, lesson);
+    }
+    kanaMap.set(kana, lesson);
   }
 
-  return null;
+  return { entries, kanjiMap, kanaMap };
 }
 
-async function storeData(key, image_url, sound_url, sentence) {
-  const value = `${image_url},${sound_url},${sentence}`;
-  await chromeStorage.set(key, value);
+function getLessonNumber(lesson) {
+  if (lesson === "会G") return 0;
+  const match = lesson.match(/L(\d+)/);
+  return match ? parseInt(match[1]) : Infinity;
 }
 
-// Parse Functions
-function parseVocabFromAnswer() {
-  const elements = document.querySelectorAll(
-    'a[href*="/kanji/"], a[href*="/vocabulary/"]'
+/*
+Imported word lists. Any CSV/TSV with a reading column and a level column can
+be imported; the user maps the columns when importing. Lists are stored in
+IndexedDB and the one picked in the settings ("WORD_LIST") drives ranking and
+lesson proximity instead of the bundled Genki list.
+*/
+const WORD_LIST_KEY = "WORD_LIST";
+const BUNDLED_WORD_LIST = { id: "genki", name: "Genki (bundled)" };
+
+// How the level column is turned into a number, lower meaning earlier
+const LEVEL_FORMATS = {
+  number: {
+    name: "First number (L12, Lesson 3, 5)",
+    createParser: () => (value) => {
+      const match = value.match(/\d+/);
+      return match ? parseInt(match[0]) : Infinity;
+    },
+  },
+  jlpt: {
+    name: "JLPT (N5 first)",
+    createParser: () => (value) => {
+      const match = value.match(/N([1-5])/i);
+      return match ? 5 - parseInt(match[1]) : Infinity;
+    },
+  },
+  order: {
+    name: "Order of appearance",
+    createParser: () => {
+      const levels = new Map();
+      return (value) => {
+        if (!levels.has(value)) levels.set(value, levels.size);
+        return levels.get(value);
+      };
+    },
+  },
+};
+
+// Parses a CSV or TSV export into rows of trimmed fields. TSV is detected
+// from a tab in the first line.
+function parseDelimitedRows(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const { rows, errors } = parseCsv(
+    text,
+    firstLine.includes("\t") ? "\t" : ","
   );
-  console.log("Parsing Answer Page");
+  return {
+    rows: rows.map((row) => row.map((field) => field.trim())),
+    errors,
+  };
+}
 
-  for (const element of elements) {
-    const href = element.getAttribute("href");
-    const text = element.textContent.trim();
+// mapping: { kana, kanji, level } column indexes (kanji may be -1) and a
+// levelFormat from LEVEL_FORMATS
+function buildWordListEntries(rows, mapping) {
+  const parseLevel = LEVEL_FORMATS[mapping.levelFormat].createParser();
+  const entries = [];
 
-    const match = href.match(/\/(kanji|vocabulary)\/(?:\d+\/)?([^\#]*)#/);
-    if (match) return match[2].trim();
-    if (text) return text.trim();
+  for (const row of rows) {
+    const kana = row[mapping.kana];
+    const level = row[mapping.level];
+    if (!kana || !level) continue;
+    entries.push({
+      kana,
+      kanji: (mapping.kanji >= 0 && row[mapping.kanji]) || null,
+      lesson: parseLevel(level),
+    });
   }
-  return "";
+  return entries;
 }
 
-function parseVocabFromReview() {
-  const kindElement = document.querySelector(".kind");
-  console.log("Parsing Review Page");
-
-  const kindText = kindElement ? kindElement.textContent.trim() : "";
-
-  if (kindText !== "Kanji" && kindText !== "Vocabulary" && kindText !== "New")
-    return "";
-
-  if (kindText === "Vocabulary" || kindText === "New") {
-    const plainElement = document.querySelector(".plain");
-    if (!plainElement) return "";
-
-    let vocabulary = plainElement.textContent.trim();
-    const nestedVocabularyElement =
-      plainElement.querySelector("div:not([style])");
+async function loadWordLists() {
+  try {
+    const db = await IndexedDBManager.open();
+    const wordLists = await IndexedDBManager.getWordLists(db);
+    state.wordLists = wordLists.map(({ id, name, entries, importedAt }) => ({
+      id,
+      name,
+      words: entries.length,
+      importedAt,
+    }));
+  } catch (error) {
+    console.error("Error loading word lists:", error);
+    state.wordLists = [];
+  }
+}
 
-    if (nestedVocabularyElement) {
-      vocabulary = nestedVocabularyElement.textContent.trim();
-    }
-    const specificVocabularyElement =
-      plainElement.querySelector("div:nth-child(3)");
+// Builds the vocab data for the selected word list, falling back to the
+// bundled list when the selected one is gone
+async function loadActiveWordList() {
+  state.activeWordList =
+    (await chromeStorage.get(WORD_LIST_KEY)) || BUNDLED_WORD_LIST.id;
 
-    if (specificVocabularyElement) {
-      vocabulary = specificVocabularyElement.textContent.trim();
+  if (state.activeWordList !== BUNDLED_WORD_LIST.id) {
+    try {
+      const db = await IndexedDBManager.open();
+      const wordList = await IndexedDBManager.getWordList(
+        db,
+        state.activeWordList
+      );
+      if (wordList) {
+        state.vocabData = buildVocabData(wordList.entries);
+        state.wordListVersion = `${wordList.id}:${wordList.importedAt}`;
+        return;
+      }
+      console.log(`Word list "${state.activeWordList}" not found`);
+    } catch (error) {
+      console.error("Error loading word list:", error);
     }
+    state.activeWordList = BUNDLED_WORD_LIST.id;
+  }
 
-    const kanjiRegex = /[\u4e00-\u9faf\u3400-\u4dbf]/;
-    if (kanjiRegex.test(vocabulary) || vocabulary) {
-      console.log("Found Vocabulary:", vocabulary);
-      return vocabulary;
-    }
-  } else if (kindText === "Kanji") {
-    const hiddenInput = document.querySelector('input[name="c"]');
-    if (!hiddenInput) return "";
+  state.vocabData = processVocabList(state.vocabContent);
+  state.wordListVersion = state.vocabContent
+    ? hashString(state.vocabContent)
+    : null;
+}
 
-    const vocab = hiddenInput.value.split(",")[1];
-    const kanjiRegex = /[\u4e00-\u9faf\u3400-\u4dbf]/;
-    if (kanjiRegex.test(vocab)) {
-      console.log("Found Kanji:", vocab);
-      return vocab;
-    }
-  }
-  return "";
+function getActiveWordListName() {
+  const wordList = state.wordLists.find(
+    ({ id }) => id === state.activeWordList
+  );
+  return wordList ? wordList.name : BUNDLED_WORD_LIST.name;
 }
 
-function parseVocabFromVocabulary() {
-  let url = window.location.href;
-  url = url.split("?")[0].split("#")[0];
-  const match = url.match(/https:\/\/jpdb\.io\/vocabulary\/(\d+)\/([^\#\/]*)/);
-  console.log("Parsing Vocabulary Page");
+async function selectWordList(id) {
+  await chromeStorage.set(WORD_LIST_KEY, id);
+  await loadActiveWordList();
+  updateRankingVersion();
+}
 
-  if (match) {
-    state.embedAboveSubsectionMeanings = true;
-    return decodeURIComponent(match[2]);
+async function importWordList(name, rows, mapping) {
+  const entries = buildWordListEntries(rows, mapping);
+  if (entries.length === 0) {
+    throw new Error("No words found with this column mapping");
   }
-  return "";
-}
 
-function parseVocabFromKanji() {
-  const url = window.location.href;
-  const match = url.match(/https:\/\/jpdb\.io\/kanji\/(\d+)\/([^\#]*)#a/);
-  console.log("Parsing Kanji Page");
+  const wordList = {
+    id: `list-${Date.now()}`,
+    name,
+    entries,
+    importedAt: Date.now(),
+  };
+  const db = await IndexedDBManager.open();
+  await IndexedDBManager.saveWordList(db, wordList);
+  await loadWordLists();
+  return wordList;
+}
 
-  if (match) {
-    state.embedAboveSubsectionMeanings = true;
-    let kanji = match[2];
-    kanji = kanji.split("/")[0];
-    return decodeURIComponent(kanji);
+async function removeWordList(id) {
+  const db = await IndexedDBManager.open();
+  await IndexedDBManager.deleteWordList(db, id);
+  await loadWordLists();
+  if (state.activeWordList === id) {
+    await selectWordList(BUNDLED_WORD_LIST.id);
   }
-  return "";
 }
 
-function parseVocabFromSearch() {
-  let url = window.location.href;
-  const match = url.match(/https:\/\/jpdb\.io\/search\?q=([^&+]*)/);
-  console.log("Parsing Search Page");
-
-  if (match) {
-    return decodeURIComponent(match[1]);
-  }
-  return "";
+// Examples cached before word lists were kept don't have one, so fall back to
+// segmenting the sentence. It's less accurate than the API's segmentation, but
+// good enough to rank with.
+const wordSegmenter =
+  typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter("ja", { granularity: "word" })
+    : null;
+
+function getWordList(example) {
+  if (Array.isArray(example.word_list)) return example.word_list;
+  if (!wordSegmenter || !example.sentence) return [];
+
+  return [...wordSegmenter.segment(example.sentence)]
+    .filter((segment) => segment.isWordLike)
+    .map((segment) => segment.segment);
 }
-// #endregion
 
-// #region UI Component Creation Functions
-function createAnchor(marginLeft) {
-  const anchor = document.createElement("a");
-  anchor.href = "#";
-  anchor.style.border = "0";
-  anchor.style.display = "inline-flex";
-  anchor.style.verticalAlign = "middle";
+function calculateSentenceScore(
+  sentence,
+  wordList,
+  kanjiMap,
+  kanaMap,
+  targetWord,
+  targetLesson
+) {
+  if (wordList.length === 0) return 0;
+
+  const otherWords = wordList.filter((word) => word !== targetWord);
+  if (otherWords.length === 0) return 0;
+
+  let knownWords = 0;
+  let proximitySum = 0;
+  let proximityCounts = 0;
+
+  otherWords.forEach((word) => {
+    const lessonNum = kanjiMap.get(word) ?? kanaMap.get(word) ?? Infinity;
+    if (lessonNum <= targetLesson) {
+      knownWords++;
+      const lessonDiff = targetLesson - lessonNum;
+      const proximityScore = Math.exp(-lessonDiff / 2);
+      proximitySum += proximityScore;
+      proximityCounts++;
+    }
+  });
+
+  const vocabScore = 1 - Math.exp(-knownWords / 5);
+  const proximityScore =
+    proximityCounts > 0 ? proximitySum / proximityCounts : 0;
+
+  let lengthScore;
+  const { weights, optimalLength } = state.ranking;
+  if (sentence.length <= optimalLength) {
+    lengthScore = 1.0;
+  } else {
+    const excess = sentence.length - optimalLength;
+    lengthScore = Math.exp(-excess / 20);
+  }
+
+  return (
+    vocabScore * weights.vocab +
+    lengthScore * weights.length +
+    proximityScore * weights.proximity
+  );
+}
+
+// Everything the ranking depends on. Cached entries remember the version of
+// these they were ranked with, and get re-ranked when it changes.
+function getRankingInputs() {
+  return {
+    wordList: state.wordListVersion,
+    knownWords: state.knownWordsVersion,
+    ranking: state.ranking,
+  };
+}
+
+// FNV-1a, just to get a short fingerprint of the ranking inputs
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+function updateRankingVersion() {
+  state.rankingVersion = hashString(JSON.stringify(getRankingInputs()));
+}
+
+/*
+Known-word ranking. When the user has imported the words they know (a jpdb
+export or a pasted list, stored under "KNOWN_WORDS"), every word is ranked by
+how close each sentence is to i+1: the number of words in it besides the
+target that aren't known. Ties go to the sentence closest to the optimal length.
+Without a known-word list, ranking falls back to the selected word list.
+*/
+const KNOWN_WORDS_KEY = "KNOWN_WORDS";
+
+// Grammar words that would otherwise count as unknown in almost every sentence
+const COMMON_FUNCTION_WORDS = new Set([
+  "は",
+  "が",
+  "を",
+  "に",
+  "で",
+  "と",
+  "の",
+  "も",
+  "へ",
+  "や",
+  "か",
+  "ね",
+  "よ",
+  "な",
+  "だ",
+  "です",
+  "ます",
+  "た",
+  "て",
+  "ない",
+]);
+const JAPANESE_TEXT_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9faf]/;
+
+async function loadKnownWords() {
+  const stored = await chromeStorage.get(KNOWN_WORDS_KEY);
+  state.knownWords = new Set(stored?.words || []);
+  state.knownWordsVersion =
+    state.knownWords.size > 0 ? hashString(stored.words.join("\n")) : null;
+}
+
+async function storeKnownWords(words) {
+  if (words.length === 0) {
+    await chromeStorage.remove(KNOWN_WORDS_KEY);
+  } else {
+    await chromeStorage.set(KNOWN_WORDS_KEY, {
+      words,
+      importedAt: Date.now(),
+    });
+  }
+  await loadKnownWords();
+  updateRankingVersion();
+}
+
+function getUnknownWords(example, targetWord) {
+  return getWordList(example).filter(
+    (word) =>
+      word !== targetWord &&
+      JAPANESE_TEXT_REGEX.test(word) &&
+      !COMMON_FUNCTION_WORDS.has(word) &&
+      !state.knownWords.has(word)
+  );
+}
+
+function rankByKnownWords(examples, targetWord) {
+  const scoredExamples = examples.map((example) => ({
+    example,
+    unknownCount: new Set(getUnknownWords(example, targetWord)).size,
+    lengthDiff: Math.abs(
+      (example.sentence || "").length - state.ranking.optimalLength
+    ),
+  }));
+
+  scoredExamples.sort(
+    (a, b) => a.unknownCount - b.unknownCount || a.lengthDiff - b.lengthDiff
+  );
+  return scoredExamples.map(({ example }) => example);
+}
+
+function rankExamples(examples, targetWord, vocabData) {
+  const sentenceLength = (example) => (example.sentence || "").length;
+
+  switch (state.ranking.mode) {
+    case "shortest":
+      return [...examples].sort(
+        (a, b) => sentenceLength(a) - sentenceLength(b)
+      );
+    case "longest":
+      return [...examples].sort(
+        (a, b) => sentenceLength(b) - sentenceLength(a)
+      );
+    case "deck":
+      return groupByDeck(rankByScore(examples, targetWord, vocabData));
+    case "random": {
+      // Seeded by the word and the example, so the order doesn't change between visits
+      const shuffleKey = (example) =>
+        hashString(`${targetWord}|${getExampleId(example)}`);
+      return [...examples].sort((a, b) =>
+        shuffleKey(a).localeCompare(shuffleKey(b))
+      );
+    }
+    case "original":
+      // Examples cached before api_index was kept keep their current order
+      return [...examples].sort(
+        (a, b) => (a.api_index ?? Infinity) - (b.api_index ?? Infinity)
+      );
+    default:
+      return rankByScore(examples, targetWord, vocabData);
+  }
+}
+
+// Decks are ordered by their best example, keeping the order within each deck
+function groupByDeck(examples) {
+  const decks = new Map();
+  for (const example of examples) {
+    const deckName = example.deck_name || "";
+    if (!decks.has(deckName)) decks.set(deckName, []);
+    decks.get(deckName).push(example);
+  }
+  return [...decks.values()].flat();
+}
+
+function rankByScore(examples, targetWord, vocabData) {
+  if (state.knownWords.size > 0) {
+    return rankByKnownWords(examples, targetWord);
+  }
+
+  const { kanjiMap, kanaMap } = vocabData;
+  const targetLesson = kanjiMap.get(targetWord) ?? kanaMap.get(targetWord);
+
+  if (targetLesson === undefined) return examples;
+
+  const scoredExamples = examples.map((example) => ({
+    example,
+    score: calculateSentenceScore(
+      example.sentence,
+      getWordList(example),
+      kanjiMap,
+      kanaMap,
+      targetWord,
+      targetLesson
+    ),
+  }));
+
+  scoredExamples.sort((a, b) => b.score - a.score);
+  return scoredExamples.map(({ example }) => example);
+}
+
+// Looks up ranked examples for a word from the imported offline packs, the
+// cache or the selected provider (Immersion Kit by default), in that order.
+// Fresh results are cached. This doesn't touch state, so it's safe to use for
+// words other than the one being displayed.
+async function fetchExamples(vocab, exactSearch, maxRetries = 5) {
+  const searchVocab = exactSearch ? `「${vocab}」` : vocab;
+  const provider = getExampleProvider();
+  const cacheKey = getProviderCacheKey(provider, searchVocab);
+  let attempt = 0;
+
+  const db = await IndexedDBManager.open();
+
+  // Imported offline packs take priority over the cache and the network
+  if (state.offlinePacks.length > 0) {
+    const offlineExamples = await IndexedDBManager.getOfflineExamples(
+      db,
+      searchVocab
+    );
+    if (offlineExamples.length > 0) {
+      return rankExamples(offlineExamples, vocab, state.vocabData);
+    }
+  }
+
+  const cachedData = await IndexedDBManager.get(db, cacheKey);
+
+  if (
+    cachedData &&
+    Array.isArray(cachedData.data) &&
+    cachedData.data.length > 0
+  ) {
+    // Cached examples are already ranked unless the ranking inputs changed since
+    if (cachedData.rankingVersion === state.rankingVersion) {
+      return cachedData.data[0].examples;
+    }
+
+    const examples = rankExamples(
+      cachedData.data[0].examples,
+      vocab,
+      state.vocabData
+    );
+    await IndexedDBManager.updateExamples(
+      db,
+      cacheKey,
+      examples,
+      state.rankingVersion
+    );
+    return examples;
+  }
+
+  async function fetchData() {
+    try {
+      const jsonData = await provider.lookup(
+        searchVocab,
+        getProviderBaseUrl(provider)
+      );
+
+      const validationError = validateApiResponse(jsonData);
+      if (!validationError) {
+        // Rank the examples before saving to cache
+        // api_index keeps the original order for the "original" sort mode
+        const examples = rankExamples(
+          jsonData.data[0].examples.map((example, index) => ({
+            ...example,
+            api_index: index,
+          })),
+          vocab,
+          state.vocabData
+        );
+
+        // Create a slim version with the ranked examples for saving
+        const slimData = {
+          rankingVersion: state.rankingVersion,
+          data: [
+            {
+              category_count: jsonData.data[0].category_count,
+              examples,
+            },
+          ],
+        };
+        await IndexedDBManager.save(db, cacheKey, slimData);
+        return examples;
+      }
+
+      attempt++;
+      if (attempt < maxRetries) {
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+        return fetchData();
+      }
+      throw new Error(
+        `Invalid API response after ${maxRetries} attempts: ${validationError}`
+      );
+    } catch (error) {
+      throw new Error(`Fetch error: ${error.message}`);
+    }
+  }
+
+  return fetchData();
+}
+
+async function getImmersionKitData(vocab, exactSearch) {
+  state.error = false;
+  try {
+    state.fetchedExamples = await fetchExamples(vocab, exactSearch);
+    state.apiDataFetched = true;
+    refreshExamples();
+  } catch (error) {
+    console.error(`Error in fetchData: ${error}`);
+    state.error = true;
+    embedImageAndPlayAudio();
+    throw error;
+  }
+}
+
+// Re-sorts the displayed word's examples after the ranking inputs changed.
+// The cache catches up the next time the word is read from it.
+function rerankCurrentWord() {
+  state.fetchedExamples = rankExamples(
+    state.fetchedExamples,
+    state.vocab,
+    state.vocabData
+  );
+  refreshExamples();
+  state.currentExampleIndex = 0;
+  renderImageAndPlayAudio(state.vocab, false);
+}
+
+// Drops a cache entry and looks it up again. Keys are the search term, prefixed
+// with the provider id for providers other than Immersion Kit.
+async function refetchCacheEntry(keyword) {
+  const provider = getExampleProvider();
+  const prefix = getProviderCacheKey(provider, "");
+  if (prefix ? !keyword.startsWith(prefix) : /^[a-z]+:/.test(keyword)) {
+    throw new Error("cached from a different source");
+  }
+  const searchVocab = keyword.slice(prefix.length);
+
+  const exactSearch = /^「.*」$/.test(searchVocab);
+  const vocab = exactSearch ? searchVocab.slice(1, -1) : searchVocab;
+
+  const db = await IndexedDBManager.open();
+  await IndexedDBManager.deleteEntry(db, keyword);
+  await fetchExamples(vocab, exactSearch);
+
+  if (vocab === state.vocab && exactSearch === state.exactSearch) {
+    await getImmersionKitData(state.vocab, state.exactSearch);
+    renderImageAndPlayAudio(state.vocab, false);
+  }
+}
+
+async function findExampleBySentence(sentence, occurrenceIndex) {
+  const provider = getExampleProvider();
+
+  try {
+    const jsonData = await provider.lookup(
+      `「${sentence}」`,
+      getProviderBaseUrl(provider)
+    );
+
+    // Look through all examples across all search results
+    let matchingExamples = [];
+    if (jsonData?.data) {
+      for (const data of jsonData.data) {
+        if (data.examples) {
+          matchingExamples = matchingExamples.concat(
+            data.examples.filter((example) => example.sentence === sentence)
+          );
+        }
+      }
+
+      if (matchingExamples.length > occurrenceIndex) {
+        return matchingExamples[occurrenceIndex];
+      }
+    }
+  } catch (error) {
+    console.error("Error finding example by sentence:", error);
+  }
+
+  return null;
+}
+
+function validateApiResponse(jsonData) {
+  if (!jsonData) {
+    return "Not a valid JSON";
+  }
+  if (!jsonData.data || !jsonData.data[0] || !jsonData.data[0].examples) {
+    return "Missing required data fields";
+  }
+
+  const categoryCount = jsonData.data[0].category_count;
+  if (!categoryCount) {
+    return "Missing category count";
+  }
+
+  const allZero = Object.values(categoryCount).every((count) => count === 0);
+  if (allZero) {
+    return "Blank API";
+  }
+
+  return null;
+}
+// #endregion
+
+// #region Prefetch
+/*
+jpdb doesn't expose the upcoming review queue, so the prefetcher doesn't try
+to guess the next cards. It keeps words reviewed here before ready for when
+they come back: after each card, a few of them are looked up in the
+background, longest ago first, which refetches entries that expired or were
+evicted from the IndexedDB cache. The media of their first examples is loaded
+into the browser cache too. Words refreshed once aren't picked again until
+the page reloads, so each card moves further through the history.
+*/
+const REVIEW_HISTORY_KEY = "REVIEW_HISTORY";
+const REVIEW_HISTORY_LIMIT = 500;
+// Prefetching and the bulk warm-up share one queue, so together they stay
+// within the API's rate limit. Prefetching is for the cards being reviewed,
+// so it goes ahead of a warm-up that may have thousands of words queued.
+const backgroundQueue = createTaskQueue({ concurrency: 2, minInterval: 500 });
+const PREFETCH_PRIORITY = 1;
+
+// Runs async tasks with bounded concurrency. Task starts are spaced at least
+// minInterval ms apart so background work doesn't run into API rate limits.
+// Tasks can be added under a group, to clear only that group's tasks. Tasks
+// with a higher priority start first, and equal ones in the order added.
+function createTaskQueue({ concurrency, minInterval }) {
+  const pending = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+
+  function next() {
+    if (timer || active >= concurrency || pending.length === 0) return;
+
+    const wait = lastStart + minInterval - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        next();
+      }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = pending.shift();
+    active++;
+    lastStart = Date.now();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+    next();
+  }
+
+  return {
+    add(task, group = null, priority = 0) {
+      return new Promise((resolve, reject) => {
+        const index = pending.findIndex((item) => item.priority < priority);
+        pending.splice(index === -1 ? pending.length : index, 0, {
+          task,
+          group,
+          priority,
+          resolve,
+          reject,
+        });
+        next();
+      });
+    },
+    // Drops tasks of the group that haven't started yet
+    clear(group = null) {
+      for (let i = pending.length - 1; i >= 0; i--) {
+        if (pending[i].group !== group) continue;
+        const [{ reject }] = pending.splice(i, 1);
+        reject(new Error("Cancelled"));
+      }
+    },
+  };
+}
+
+function isReviewPage(url) {
+  return /^https:\/\/jpdb\.io\/review/.test(url);
+}
+
+// The review question side is /review (or /review#a); once the answer is
+// shown, the URL carries the card in c=
+function getPageType(url) {
+  if (url.includes("/vocabulary/")) return "vocabulary";
+  if (url.includes("/kanji/")) return "kanji";
+  if (url.includes("/search?q=")) return "search";
+  if (/^https:\/\/jpdb\.io\/review(#a)?$/.test(url)) return "reviewQuestion";
+  if (isReviewPage(url)) return "reviewAnswer";
+  return null;
+}
+
+async function recordReviewWord(vocab) {
+  const history = (await chromeStorage.get(REVIEW_HISTORY_KEY)) || [];
+  await chromeStorage.set(
+    REVIEW_HISTORY_KEY,
+    [vocab, ...history.filter((word) => word !== vocab)].slice(
+      0,
+      REVIEW_HISTORY_LIMIT
+    )
+  );
+}
+
+// The least recently reviewed words not refreshed yet, oldest first
+async function getPrefetchWords() {
+  const history = (await chromeStorage.get(REVIEW_HISTORY_KEY)) || [];
+  return [...history]
+    .reverse()
+    .filter(
+      (word) => word && word !== state.vocab && !state.prefetchedWords.has(word)
+    )
+    .slice(0, CONFIG.PREFETCH_WORD_COUNT);
+}
+
+// Loads the media of the first examples into the browser cache
+async function warmMedia(vocab, examples) {
+  const favorites = await getFavorites(vocab);
+  const firstExamples = pinFavorites(examples, favorites).slice(
+    0,
+    CONFIG.PREFETCH_MEDIA_COUNT
+  );
+
+  await Promise.all(
+    firstExamples.map(async (example) => {
+      if (example.image_url && !isOfflineUrl(example.image_url)) {
+        new Image().src = example.image_url;
+      }
+      if (example.sound_url && !(await getLocalMediaUrl(example.sound_url))) {
+        await fetch(example.sound_url).catch(() => {});
+      }
+    })
+  );
+}
+
+async function startPrefetch() {
+  backgroundQueue.clear("prefetch");
+
+  const words = await getPrefetchWords();
+  state.prefetch = { total: words.length, ready: 0, failed: 0 };
+  updatePrefetchStatus();
+
+  for (const word of words) {
+    backgroundQueue
+      .add(
+        async () => {
+          // A single attempt, so a blank word doesn't hold up the queue
+          const examples = await fetchExamples(word, false, 1);
+          await warmMedia(word, examples);
+        },
+        "prefetch",
+        PREFETCH_PRIORITY
+      )
+      .then(
+        () => {
+          state.prefetchedWords.add(word);
+          state.prefetch.ready++;
+        },
+        (error) => {
+          if (error.message === "Cancelled") return;
+          console.log(`Prefetch failed for "${word}": ${error.message}`);
+          state.prefetch.failed++;
+        }
+      )
+      .finally(updatePrefetchStatus);
+  }
+}
+
+function getPrefetchStatusText() {
+  const { total, ready, failed } = state.prefetch;
+  if (total === 0) return "";
+  return `Past words refreshed: ${ready}/${total}${
+    failed > 0 ? ` (${failed} failed)` : ""
+  }`;
+}
+
+function updatePrefetchStatus() {
+  const statusElement = document.getElementById("prefetch-status");
+  if (statusElement) statusElement.textContent = getPrefetchStatusText();
+}
+// #endregion
+
+// #region Bulk Warm-up
+/*
+Warms the cache for a whole word list (pasted, or a jpdb/Anki export) in the
+background. Network errors are retried with exponential backoff. Words the API
+has no examples for ("Blank API") are remembered under "BLANK_WORDS" and
+skipped by later warm-ups until the list is cleared.
+*/
+const BLANK_WORDS_KEY = "BLANK_WORDS";
+const WARM_UP_RETRIES = 3;
+const WARM_UP_BASE_DELAY = 2000;
+
+async function withRetry(task, retries, baseDelay, shouldRetry) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      await new Promise((resolve) =>
+        setTimeout(resolve, baseDelay * 2 ** attempt)
+      );
+    }
+  }
+}
+
+function isBlankApiError(error) {
+  return error.message.includes("Blank API");
+}
+
+// Accepts a plain word list (one per line), an Anki text export (first field
+// of each note) or a jpdb JSON export (every "spelling" in it, plus any other
+// given fields)
+function parseWordList(text, jsonFields = ["spelling"]) {
+  const words = [];
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      const collect = (value) => {
+        if (Array.isArray(value)) {
+          value.forEach(collect);
+        } else if (value && typeof value === "object") {
+          for (const field of jsonFields) {
+            if (typeof value[field] === "string") words.push(value[field]);
+          }
+          Object.values(value).forEach(collect);
+        }
+      };
+      collect(JSON.parse(trimmed));
+      return [...new Set(words.map((word) => word.trim()).filter(Boolean))];
+    } catch (error) {
+      console.log("Word list isn't JSON, reading it as text");
+    }
+  }
+
+  for (const line of trimmed.split(/\r?\n/)) {
+    // Anki exports start with "#separator:tab" style headers
+    if (!line.trim() || line.startsWith("#")) continue;
+    const [firstField] = line.split(/[\t,]/);
+    const word = firstField
+      .replace(/<[^>]*>/g, "")
+      .replace(/^"|"$/g, "")
+      .trim();
+    if (word) words.push(word);
+  }
+  return [...new Set(words)];
+}
+
+// Blank words are stored as soon as they're found, so leaving the page in the
+// middle of a warm-up doesn't lose them. The writes are chained, since tasks
+// finishing at the same time would overwrite each other's.
+let blankWordsWrite = Promise.resolve();
+
+function storeBlankWord(word) {
+  blankWordsWrite = blankWordsWrite
+    .then(async () => {
+      const blankWords = (await chromeStorage.get(BLANK_WORDS_KEY)) || {};
+      await chromeStorage.set(BLANK_WORDS_KEY, {
+        ...blankWords,
+        [word]: Date.now(),
+      });
+    })
+    .catch((error) => console.error("Error storing blank word:", error));
+  return blankWordsWrite;
+}
+
+async function startWarmUp(words) {
+  backgroundQueue.clear("warmUp");
+
+  const blankWords = (await chromeStorage.get(BLANK_WORDS_KEY)) || {};
+  const queuedWords = words.filter((word) => !blankWords[word]);
+
+  state.warmUp = {
+    running: queuedWords.length > 0,
+    total: queuedWords.length,
+    done: 0,
+    skipped: words.length - queuedWords.length,
+    blank: 0,
+    failures: [],
+  };
+  updateWarmUpStatus();
+
+  const run = state.warmUp;
+  await Promise.all(
+    queuedWords.map((word) =>
+      backgroundQueue
+        .add(
+          () =>
+            withRetry(
+              () => fetchExamples(word, false, 1),
+              WARM_UP_RETRIES,
+              WARM_UP_BASE_DELAY,
+              (error) => !isBlankApiError(error)
+            ),
+          "warmUp"
+        )
+        .then(
+          () => run.done++,
+          (error) => {
+            if (error.message === "Cancelled") return;
+            run.done++;
+            if (isBlankApiError(error)) {
+              run.blank++;
+              storeBlankWord(word);
+            } else {
+              run.failures.push({ word, reason: error.message });
+            }
+          }
+        )
+        .finally(updateWarmUpStatus)
+    )
+  );
+  await blankWordsWrite;
+
+  run.running = false;
+  updateWarmUpStatus();
+}
+
+function cancelWarmUp() {
+  backgroundQueue.clear("warmUp");
+  state.warmUp.running = false;
+  updateWarmUpStatus();
+}
+
+function updateWarmUpStatus() {
+  const statusElement = document.getElementById("warmUpStatus");
+  if (!statusElement) return;
+
+  const { running, total, done, skipped, blank, failures } = state.warmUp;
+  statusElement.textContent =
+    total === 0 && skipped === 0
+      ? ""
+      : `${running ? "Warming up" : "Finished"}: ${done}/${total} words, ${
+          failures.length
+        } failed, ${blank} without examples${
+          skipped > 0 ? `, ${skipped} skipped as known blank` : ""
+        }`;
+
+  const failureList = document.getElementById("warmUpFailures");
+  if (failureList) {
+    failureList.textContent = failures
+      .map(({ word, reason }) => `${word}: ${reason}`)
+      .join("\n");
+  }
+}
+// #endregion
+
+// #region Filter Functions
+/*
+The deck filter applies to every word and is stored under "DECK_FILTER" as
+  { include: ["deck"], exclude: ["deck"], categories: { anime: true, ... } }
+Deck names match case-insensitively on substrings, so "steins" matches
+"Steins Gate". An empty include list lets every deck through.
+*/
+const DECK_FILTER_KEY = "DECK_FILTER";
+const EXAMPLE_CATEGORIES = ["anime", "drama", "games", "literature", "news"];
+
+function normalizeDeckFilter(filter) {
+  const normalizeList = (list) =>
+    Array.isArray(list)
+      ? [...new Set(list.map((deck) => String(deck).trim()).filter(Boolean))]
+      : [];
+
+  const categories = {};
+  for (const category of EXAMPLE_CATEGORIES) {
+    categories[category] = filter?.categories?.[category] !== false;
+  }
+
+  return {
+    include: normalizeList(filter?.include),
+    exclude: normalizeList(filter?.exclude),
+    categories,
+  };
+}
+
+async function loadDeckFilter() {
+  state.deckFilter = normalizeDeckFilter(
+    await chromeStorage.get(DECK_FILTER_KEY)
+  );
+}
+
+async function storeDeckFilter(filter) {
+  state.deckFilter = normalizeDeckFilter(filter);
+  await chromeStorage.set(DECK_FILTER_KEY, state.deckFilter);
+}
+
+// Older cache entries don't have a category, but it's part of the media path
+function getExampleCategory(example) {
+  if (example.category) return example.category.toLowerCase();
+  const match = (example.image_url || example.sound_url || "").match(
+    /\/media\/([a-z]+)\//i
+  );
+  return match ? match[1].toLowerCase() : null;
+}
+
+function passesDeckFilter(example, filter = state.deckFilter) {
+  const category = getExampleCategory(example);
+  if (category && filter.categories[category] === false) return false;
+
+  const deckName = (example.deck_name || "").toLowerCase();
+  const matchesDeck = (deck) => deckName.includes(deck.toLowerCase());
+
+  if (filter.exclude.some(matchesDeck)) return false;
+  if (filter.include.length > 0 && !filter.include.some(matchesDeck)) {
+    return false;
+  }
+  return true;
+}
+
+function passesLengthFilter(example) {
+  // Count code points so surrogate pairs don't count twice
+  const length = [...(example.sentence || "")].length;
+  if (length < CONFIG.MINIMUM_EXAMPLE_LENGTH) return false;
+  if (
+    CONFIG.MAXIMUM_EXAMPLE_LENGTH > 0 &&
+    length > CONFIG.MAXIMUM_EXAMPLE_LENGTH
+  ) {
+    return false;
+  }
+  return true;
+}
+// #endregion
+
+// #region Storage Functions
+/*
+Per-word data is stored under "WORD.<vocab>" as a structured record:
+  {
+    favorites: [{ image_url, sound_url, sentence, translation, deck_name }],
+    hiddenExamples: [{ image_url, sound_url, sentence, translation, deck_name }],
+    hiddenDecks: ["deck name"],
+  }
+The order of the favorites list is the order they're pinned in.
+Older versions stored a single "image_url,sound_url,sentence" string under the
+bare vocab key, which migrateStoredFavorites() converts on startup.
+*/
+const WORD_KEY_PREFIX = "WORD.";
+const STORAGE_VERSION_KEY = "STORAGE_VERSION";
+const STORAGE_VERSION = 2;
+
+function getWordKey(vocab) {
+  return `${WORD_KEY_PREFIX}${vocab}`;
+}
+
+// Examples don't have ids, so they're identified by their media URLs
+function getExampleId(example) {
+  return `${example.image_url || ""}|${example.sound_url || ""}`;
+}
+
+function normalizeStoredExample(example) {
+  if (!example) return null;
+
+  if (typeof example === "string") {
+    // Legacy format. The sentence itself may contain commas.
+    const [image_url, sound_url, ...sentenceParts] = example.split(",");
+    example = { image_url, sound_url, sentence: sentenceParts.join(",") };
+  } else if (Array.isArray(example)) {
+    const [image_url, sound_url, sentence] = example;
+    example = { image_url, sound_url, sentence };
+  }
+
+  if (!example.image_url && !example.sound_url) return null;
+
+  return {
+    image_url: example.image_url || null,
+    sound_url: example.sound_url || null,
+    sentence: example.sentence || null,
+    translation: example.translation || null,
+    deck_name: example.deck_name || null,
+  };
+}
+
+function normalizeStoredExamples(value) {
+  if (!value) return [];
+
+  // A single legacy favorite, either a string or an [image, sound, sentence] tuple
+  if (
+    typeof value === "string" ||
+    (Array.isArray(value) && typeof value[0] === "string")
+  ) {
+    value = [value];
+  }
+  if (!Array.isArray(value)) return [];
+
+  const seen = new Set();
+  const examples = [];
+  for (const item of value) {
+    const example = normalizeStoredExample(item);
+    if (!example || seen.has(getExampleId(example))) continue;
+    seen.add(getExampleId(example));
+    examples.push(example);
+  }
+  return examples;
+}
+
+async function getWordRecord(vocab) {
+  return (await chromeStorage.get(getWordKey(vocab))) || null;
+}
+
+async function getFavorites(vocab) {
+  const record = await getWordRecord(vocab);
+  if (record && record.favorites) {
+    return normalizeStoredExamples(record.favorites);
+  }
+
+  // Check defaults if the user has never saved favorites for this word
+  return normalizeStoredExamples(DEFAULT_FAVORITES[vocab]);
+}
+
+async function storeFavorites(vocab, favorites) {
+  const record = (await getWordRecord(vocab)) || {};
+  await chromeStorage.set(getWordKey(vocab), {
+    ...record,
+    favorites: normalizeStoredExamples(favorites),
+  });
+}
+
+function normalizeHidden(record) {
+  return {
+    examples: normalizeStoredExamples(record?.hiddenExamples),
+    decks: [...new Set((record?.hiddenDecks || []).filter(Boolean))],
+  };
+}
+
+async function getHidden(vocab) {
+  return normalizeHidden(await getWordRecord(vocab));
+}
+
+async function storeHidden(vocab, hidden) {
+  const record = (await getWordRecord(vocab)) || {};
+  const { examples, decks } = normalizeHidden({
+    hiddenExamples: hidden.examples,
+    hiddenDecks: hidden.decks,
+  });
+  await chromeStorage.set(getWordKey(vocab), {
+    ...record,
+    hiddenExamples: examples,
+    hiddenDecks: decks,
+  });
+}
+
+function isHidden(example) {
+  if (!example) return false;
+  if (example.deck_name && state.hidden.decks.includes(example.deck_name)) {
+    return true;
+  }
+  const id = getExampleId(example);
+  return state.hidden.examples.some((hidden) => getExampleId(hidden) === id);
+}
+
+function isFavorite(example) {
+  if (!example) return false;
+  const id = getExampleId(example);
+  return state.favorites.some((favorite) => getExampleId(favorite) === id);
+}
+
+// Put the favorites first (in their saved order), followed by everything else
+function pinFavorites(examples, favorites) {
+  const favoriteIds = new Set(favorites.map(getExampleId));
+  return [
+    ...favorites,
+    ...examples.filter((example) => !favoriteIds.has(getExampleId(example))),
+  ];
+}
+
+// Rebuilds state.examples from state.fetchedExamples. Hidden examples and
+// examples rejected by the deck or length filters are dropped, and favorites
+// are pinned first (favorites are never filtered).
+// Only the deck and length filters count towards state.filteredOutCount;
+// examples the user hid on purpose aren't reported.
+// The current example stays selected if it's still in the list.
+function refreshExamples() {
+  const currentExample = state.examples[state.currentExampleIndex];
+
+  const visibleExamples = [];
+  state.filteredOutCount = 0;
+  for (const example of state.fetchedExamples) {
+    if (isHidden(example)) continue;
+    if (passesDeckFilter(example) && passesLengthFilter(example)) {
+      visibleExamples.push(example);
+    } else if (!isFavorite(example)) {
+      state.filteredOutCount++;
+    }
+  }
+  state.examples = pinFavorites(visibleExamples, state.favorites);
+
+  if (currentExample) {
+    const index = state.examples.findIndex(
+      (example) => getExampleId(example) === getExampleId(currentExample)
+    );
+    if (index !== -1) state.currentExampleIndex = index;
+  }
+  state.currentExampleIndex = Math.max(
+    0,
+    Math.min(state.currentExampleIndex, state.examples.length - 1)
+  );
+  state.preloadedIndices.clear();
+}
+
+async function migrateStoredFavorites() {
+  const version = await chromeStorage.get(STORAGE_VERSION_KEY);
+  if (version >= STORAGE_VERSION) return;
+
+  const items = await chromeStorage.getAll();
+  for (const [key, value] of Object.entries(items)) {
+    if (
+      key.startsWith("CONFIG.") ||
+      key.startsWith(WORD_KEY_PREFIX) ||
+      key === STORAGE_VERSION_KEY
+    ) {
+      continue;
+    }
+    // Only touch values that look like the old "image_url,sound_url,sentence" format
+    if (typeof value !== "string" || !/^https?:\/\//.test(value)) continue;
+
+    const favorites = normalizeStoredExamples(value);
+    if (favorites.length > 0) {
+      console.log(`Migrating stored favorite for "${key}"`);
+      await storeFavorites(key, favorites);
+    }
+    await chromeStorage.remove(key);
+  }
+
+  await chromeStorage.set(STORAGE_VERSION_KEY, STORAGE_VERSION);
+}
+
+/*
+Backups hold everything in chrome.storage.local:
+  { format: "jpdb-immersion-kit-backup", version, exportedAt, data: { key: value } }
+Imports either replace all stored data, or merge into it. When merging, word
+records present on both sides get their favorites, hidden examples and hidden
+decks combined, and any other key present on both sides takes the backup's
+value. The IndexedDB cache, offline packs and word lists aren't included.
+*/
+const BACKUP_FORMAT = "jpdb-immersion-kit-backup";
+const BACKUP_VERSION = 1;
+
+// The sync bookkeeping belongs to this device, so it isn't backed up
+const BACKUP_EXCLUDED_KEYS = ["SYNC_DEVICE_ID", "SYNC_MODIFIED"];
+
+async function createBackup() {
+  const data = await chromeStorage.getAll();
+  for (const key of BACKUP_EXCLUDED_KEYS) delete data[key];
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  };
+}
+
+// Returns what's wrong with a parsed backup file, or null if it's valid
+function validateBackup(backup) {
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return "This isn't an Immersion Kit backup file.";
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return "The backup has no valid version.";
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return `The backup is from a newer version of the extension (format ${backup.version}).`;
+  }
+  if (!isObject(backup.data)) {
+    return "The backup has no data.";
+  }
+
+  for (const [key, value] of Object.entries(backup.data)) {
+    if (key.startsWith("CONFIG.") && isObject(value)) {
+      return `Invalid value for ${key}.`;
+    }
+    if (key.startsWith(WORD_KEY_PREFIX) && !isObject(value)) {
+      return `Invalid word record for ${key.slice(WORD_KEY_PREFIX.length)}.`;
+    }
+  }
+  return null;
+}
+
+function mergeWordRecords(current, incoming) {
+  const merged = { ...current, ...incoming };
+  for (const field of ["favorites", "hiddenExamples"]) {
+    merged[field] = normalizeStoredExamples([
+      ...normalizeStoredExamples(current[field]),
+      ...normalizeStoredExamples(incoming[field]),
+    ]);
+  }
+  merged.hiddenDecks = [
+    ...new Set([
+      ...(current.hiddenDecks || []),
+      ...(incoming.hiddenDecks || []),
+    ]),
+  ];
+  return merged;
+}
+
+// Lists keys present in both with different values, and how a merge resolves them
+async function getBackupConflicts(backup) {
+  const current = await chromeStorage.getAll();
+  const conflicts = [];
+  for (const [key, value] of Object.entries(backup.data)) {
+    if (!(key in current)) continue;
+    if (JSON.stringify(current[key]) === JSON.stringify(value)) continue;
+    conflicts.push({
+      key,
+      resolution: key.startsWith(WORD_KEY_PREFIX) ? "combined" : "from backup",
+    });
+  }
+  return { conflicts, current };
+}
+
+async function importBackup(backup, mode) {
+  const current = await chromeStorage.getAll();
+  const data = { ...backup.data };
+  for (const key of BACKUP_EXCLUDED_KEYS) delete data[key];
+
+  if (mode === "replace") {
+    // The backup is written first, so nothing is lost if that fails, and
+    // only then is anything it doesn't have removed
+    await chromeStorage.setMany(data);
+    await chromeStorage.remove(
+      Object.keys(current).filter(
+        (key) => !(key in data) && !BACKUP_EXCLUDED_KEYS.includes(key)
+      )
+    );
+  } else {
+    for (const [key, value] of Object.entries(data)) {
+      if (key.startsWith(WORD_KEY_PREFIX) && current[key]) {
+        data[key] = mergeWordRecords(current[key], value);
+      }
+    }
+    await chromeStorage.setMany(data);
+  }
+  // Older backups may hold favorites in the legacy format
+  await migrateStoredFavorites();
+}
+
+// Parse Functions
+function parseVocabFromAnswer() {
+  const elements = document.querySelectorAll(
+    'a[href*="/kanji/"], a[href*="/vocabulary/"]'
+  );
+  console.log("Parsing Answer Page");
+
+  for (const element of elements) {
+    const href = element.getAttribute("href");
+    const text = element.textContent.trim();
+
+    const match = href.match(/\/(kanji|vocabulary)\/(?:\d+\/)?([^\#]*)#/);
+    if (match) return match[2].trim();
+    if (text) return text.trim();
+  }
+  return "";
+}
+
+function parseVocabFromReview() {
+  const kindElement = document.querySelector(".kind");
+  console.log("Parsing Review Page");
+
+  const kindText = kindElement ? kindElement.textContent.trim() : "";
+
+  if (kindText !== "Kanji" && kindText !== "Vocabulary" && kindText !== "New")
+    return "";
+
+  if (kindText === "Vocabulary" || kindText === "New") {
+    const plainElement = document.querySelector(".plain");
+    if (!plainElement) return "";
+
+    let vocabulary = plainElement.textContent.trim();
+    const nestedVocabularyElement =
+      plainElement.querySelector("div:not([style])");
+
+    if (nestedVocabularyElement) {
+      vocabulary = nestedVocabularyElement.textContent.trim();
+    }
+    const specificVocabularyElement =
+      plainElement.querySelector("div:nth-child(3)");
+
+    if (specificVocabularyElement) {
+      vocabulary = specificVocabularyElement.textContent.trim();
+    }
+
+    const kanjiRegex = /[\u4e00-\u9faf\u3400-\u4dbf]/;
+    if (kanjiRegex.test(vocabulary) || vocabulary) {
+      console.log("Found Vocabulary:", vocabulary);
+      return vocabulary;
+    }
+  } else if (kindText === "Kanji") {
+    const hiddenInput = document.querySelector('input[name="c"]');
+    if (!hiddenInput) return "";
+
+    const vocab = hiddenInput.value.split(",")[1];
+    const kanjiRegex = /[\u4e00-\u9faf\u3400-\u4dbf]/;
+    if (kanjiRegex.test(vocab)) {
+      console.log("Found Kanji:", vocab);
+      return vocab;
+    }
+  }
+  return "";
+}
+
+function parseVocabFromVocabulary() {
+  let url = window.location.href;
+  url = url.split("?")[0].split("#")[0];
+  const match = url.match(/https:\/\/jpdb\.io\/vocabulary\/(\d+)\/([^\#\/]*)/);
+  console.log("Parsing Vocabulary Page");
+
+  if (match) {
+    state.embedAboveSubsectionMeanings = true;
+    return decodeURIComponent(match[2]);
+  }
+  return "";
+}
+
+function parseVocabFromKanji() {
+  const url = window.location.href;
+  const match = url.match(/https:\/\/jpdb\.io\/kanji\/(\d+)\/([^\#]*)#a/);
+  console.log("Parsing Kanji Page");
+
+  if (match) {
+    state.embedAboveSubsectionMeanings = true;
+    let kanji = match[2];
+    kanji = kanji.split("/")[0];
+    return decodeURIComponent(kanji);
+  }
+  return "";
+}
+
+function parseVocabFromSearch() {
+  let url = window.location.href;
+  const match = url.match(/https:\/\/jpdb\.io\/search\?q=([^&+]*)/);
+  console.log("Parsing Search Page");
+
+  if (match) {
+    return decodeURIComponent(match[1]);
+  }
+  return "";
+}
+// #endregion
+
+// #region Sync
+/*
+Optional sync of favorites, hidden examples and decks (WORD.*), the deck
+filter and CONFIG.* through chrome.storage.sync. chrome.storage.local stays
+the source of truth; sync is a replica on top of it.
+
+chrome.storage.sync allows ~100 KB in total, 8 KB per item and 120 writes a
+minute, and there can be thousands of word records. So all synced keys are
+bundled as { key: [modified, value] } (value null for deleted keys), deflated,
+base64 encoded and split into "SYNC.chunk.<n>" items, with "SYNC.meta"
+describing the bundle. Pushes are debounced and written in a single set().
+
+Conflicts are resolved per key by last-modified time. Every write and removal
+through chromeStorage stamps the key, and removed keys are pushed as
+tombstones for SYNC_TOMBSTONE_TTL so other devices remove them too. Keys that
+were never stamped (written before sync was on) count as modified at 0, so
+any synced change or deletion wins over them. The exception is word records
+when sync is turned on: this device's favorites and hidden examples are
+merged with the synced ones and stamped, so neither side's are lost.
+When the bundle doesn't fit the quota, sync stops and data stays in local
+storage only.
+*/
+const SYNC_SETTINGS_KEY = "SYNC_SETTINGS";
+const SYNC_MODIFIED_KEY = "SYNC_MODIFIED";
+const SYNC_DEVICE_ID_KEY = "SYNC_DEVICE_ID";
+const SYNC_META_KEY = "SYNC.meta";
+const SYNC_CHUNK_PREFIX = "SYNC.chunk.";
+const SYNC_CHUNK_SIZE = 8000;
+const SYNC_QUOTA_BYTES = 100000; // A little under chrome.storage.sync's 102400
+const SYNC_PUSH_DELAY = 5000;
+const SYNC_TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+function isSyncedKey(key) {
+  return (
+    key.startsWith("CONFIG.") ||
+    key.startsWith(WORD_KEY_PREFIX) ||
+    key === DECK_FILTER_KEY ||
+    key === PROFILES_KEY
+  );
+}
+
+const chromeSyncStorage = {
+  get: (keys) =>
+    new Promise((resolve, reject) => {
+      chrome.storage.sync.get(keys, (items) =>
+        chrome.runtime.lastError
+          ? reject(new Error(chrome.runtime.lastError.message))
+          : resolve(items)
+      );
+    }),
+  set: (items) =>
+    new Promise((resolve, reject) => {
+      chrome.storage.sync.set(items, () =>
+        chrome.runtime.lastError
+          ? reject(new Error(chrome.runtime.lastError.message))
+          : resolve()
+      );
+    }),
+  remove: (keys) =>
+    new Promise((resolve, reject) => {
+      chrome.storage.sync.remove(keys, () =>
+        chrome.runtime.lastError
+          ? reject(new Error(chrome.runtime.lastError.message))
+          : resolve()
+      );
+    }),
+};
+
+async function compressText(text) {
+  const stream = new Blob([text])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function decompressText(base64) {
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+}
+
+function setSyncStatus(status, message = "") {
+  state.sync.status = status;
+  state.sync.message = message;
+  if (status === "synced") state.sync.lastSynced = Date.now();
+  updateSyncStatus();
+}
+
+async function loadSync() {
+  const settings = (await chromeStorage.get(SYNC_SETTINGS_KEY)) || {};
+  state.sync.enabled = settings.enabled === true;
+  state.sync.modified = (await chromeStorage.get(SYNC_MODIFIED_KEY)) || {};
+  state.sync.deviceId = await chromeStorage.get(SYNC_DEVICE_ID_KEY);
+  if (!state.sync.deviceId) {
+    state.sync.deviceId = `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2)}`;
+    await chromeStorage.set(SYNC_DEVICE_ID_KEY, state.sync.deviceId);
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (!state.sync.enabled) return;
+    if (area === "sync") {
+      const meta = changes[SYNC_META_KEY]?.newValue;
+      if (meta && meta.device !== state.sync.deviceId) pullSync();
+      return;
+    }
+
+    // The options page and popup stamp their changes but can't push them
+    const modified = changes[SYNC_MODIFIED_KEY]?.newValue;
+    if (
+      modified &&
+      JSON.stringify(modified) !== JSON.stringify(state.sync.modified)
+    ) {
+      state.sync.modified = modified;
+      scheduleSyncPush();
+    }
+  });
+
+  if (state.sync.enabled) await pullSync();
+}
+
+async function setSyncEnabled(enabled) {
+  state.sync.enabled = enabled;
+  await chromeStorage.set(SYNC_SETTINGS_KEY, { enabled });
+  if (enabled) {
+    try {
+      await mergeLocalDataIntoSync();
+    } catch (error) {
+      console.error("Error merging local data into sync:", error);
+      setSyncStatus("error", error.message || String(error));
+      return;
+    }
+    await pullSync();
+  } else {
+    clearTimeout(syncPushTimer);
+    setSyncStatus("off");
+  }
+}
+
+// Run when sync is turned on. Word records that exist on both sides are
+// merged and stamped now, so the merge is what every device ends up with.
+// Other keys keep their stamp, and unstamped ones are left at 0: settings
+// and filters from before sync lose to any synced edit or deletion.
+async function mergeLocalDataIntoSync() {
+  const remote = await readSyncBundle();
+  const local = await chromeStorage.getAll();
+  const merged = {};
+
+  for (const [key, value] of Object.entries(local)) {
+    if (!isSyncedKey(key)) continue;
+    const remoteValue = remote[key]?.[1];
+    if (key.startsWith(WORD_KEY_PREFIX) && remoteValue) {
+      merged[key] = mergeWordRecords(value, remoteValue);
+      state.sync.modified[key] = Date.now();
+    } else {
+      state.sync.modified[key] ??= 0;
+    }
+  }
+
+  // Written directly, the keys are already stamped
+  await new Promise((resolve) => chrome.storage.local.set(merged, resolve));
+  await chromeStorage.set(SYNC_MODIFIED_KEY, state.sync.modified);
+}
+
+// Called by chromeStorage for every write
+async function recordSyncedChanges(keys) {
+  const syncedKeys = keys.filter(isSyncedKey);
+  if (!state.sync.enabled || syncedKeys.length === 0) return;
+  for (const key of syncedKeys) state.sync.modified[key] = Date.now();
+  await chromeStorage.set(SYNC_MODIFIED_KEY, state.sync.modified);
+  scheduleSyncPush();
+}
+
+let syncPushTimer = null;
+function scheduleSyncPush() {
+  clearTimeout(syncPushTimer);
+  syncPushTimer = setTimeout(pushSync, SYNC_PUSH_DELAY);
+}
+
+async function readSyncBundle() {
+  const meta = (await chromeSyncStorage.get(SYNC_META_KEY))[SYNC_META_KEY];
+  if (!meta) return {};
+
+  const chunkKeys = Array.from(
+    { length: meta.chunks },
+    (_, index) => `${SYNC_CHUNK_PREFIX}${index}`
+  );
+  const chunks = await chromeSyncStorage.get(chunkKeys);
+  if (chunkKeys.some((key) => typeof chunks[key] !== "string")) {
+    throw new Error("Synced data is incomplete");
+  }
+  return JSON.parse(
+    await decompressText(chunkKeys.map((key) => chunks[key]).join(""))
+  );
+}
+
+// Merges the synced bundle into local storage, newest change winning
+async function pullSync() {
+  if (!state.sync.enabled) return;
+  setSyncStatus("syncing");
+
+  try {
+    const remote = await readSyncBundle();
+    const local = await chromeStorage.getAll();
+    let changed = false;
+    let localIsNewer = false;
+
+    for (const [key, [modified, value]] of Object.entries(remote)) {
+      // Unstamped local keys predate sync and lose to any synced edit, and a
+      // key missing here takes any synced value
+      const localModified = state.sync.modified[key] ?? (key in local ? 0 : -1);
+      if (modified > localModified) {
+        // Written directly so it doesn't count as a local change
+        if (value === null) {
+          await new Promise((resolve) =>
+            chrome.storage.local.remove(key, resolve)
+          );
+        } else {
+          await new Promise((resolve) =>
+            chrome.storage.local.set({ [key]: value }, resolve)
+          );
+        }
+        state.sync.modified[key] = modified;
+        changed = true;
+      } else if (modified < localModified) {
+        localIsNewer = true;
+      }
+    }
+
+    for (const key of Object.keys(local)) {
+      if (isSyncedKey(key) && !(key in remote)) localIsNewer = true;
+    }
+
+    await chromeStorage.set(SYNC_MODIFIED_KEY, state.sync.modified);
+    if (changed) await applySyncedChanges();
+    if (localIsNewer) {
+      await pushSync();
+    } else {
+      setSyncStatus("synced");
+    }
+  } catch (error) {
+    console.error("Error pulling synced data:", error);
+    setSyncStatus("error", error.message || String(error));
+  }
+}
+
+async function pushSync() {
+  if (!state.sync.enabled) return;
+  setSyncStatus("syncing");
+
+  try {
+    const local = await chromeStorage.getAll();
+    const bundle = {};
+    for (const [key, value] of Object.entries(local)) {
+      if (!isSyncedKey(key)) continue;
+      state.sync.modified[key] ??= 0;
+      bundle[key] = [state.sync.modified[key], value];
+    }
+    // Deleted keys are kept for a while so other devices delete them too
+    for (const [key, modified] of Object.entries(state.sync.modified)) {
+      if (key in bundle) continue;
+      if (Date.now() - modified > SYNC_TOMBSTONE_TTL) {
+        delete state.sync.modified[key];
+      } else {
+        bundle[key] = [modified, null];
+      }
+    }
+
+    const encoded = await compressText(JSON.stringify(bundle));
+    state.sync.bytes = encoded.length;
+    if (encoded.length > SYNC_QUOTA_BYTES) {
+      setSyncStatus(
+        "quota",
+        `Synced data would take ${formatByteSize(
+          encoded.length
+        )}, over the sync quota. Everything is still saved locally.`
+      );
+      return;
+    }
+
+    const items = {};
+    for (let i = 0; i * SYNC_CHUNK_SIZE < encoded.length; i++) {
+      items[`${SYNC_CHUNK_PREFIX}${i}`] = encoded.slice(
+        i * SYNC_CHUNK_SIZE,
+        (i + 1) * SYNC_CHUNK_SIZE
+      );
+    }
+    const chunkCount = Object.keys(items).length;
+    const previousMeta = (await chromeSyncStorage.get(SYNC_META_KEY))[
+      SYNC_META_KEY
+    ];
+    items[SYNC_META_KEY] = {
+      chunks: chunkCount,
+      modified: Date.now(),
+      device: state.sync.deviceId,
+    };
+    await chromeSyncStorage.set(items);
+
+    if (previousMeta?.chunks > chunkCount) {
+      await chromeSyncStorage.remove(
+        Array.from(
+          { length: previousMeta.chunks - chunkCount },
+          (_, index) => `${SYNC_CHUNK_PREFIX}${chunkCount + index}`
+        )
+      );
+    }
+    await chromeStorage.set(SYNC_MODIFIED_KEY, state.sync.modified);
+    setSyncStatus("synced");
+  } catch (error) {
+    console.error("Error pushing synced data:", error);
+    if (/quota/i.test(error.message)) {
+      setSyncStatus(
+        "quota",
+        "Over the sync quota. Everything is still saved locally."
+      );
+    } else {
+      setSyncStatus("error", error.message || String(error));
+    }
+  }
+}
+
+// Picks up settings, filters and favorites that changed on another device
+async function applySyncedChanges() {
+  await loadProfiles();
+  await loadConfig();
+  await loadDeckFilter();
+  if (!state.vocab) return;
+  state.favorites = await getFavorites(state.vocab);
+  state.hidden = await getHidden(state.vocab);
+  refreshExamples();
+  if (document.getElementById("immersion-kit-container")) {
+    renderImageAndPlayAudio(state.vocab, false);
+  }
+}
+
+function describeSyncStatus() {
+  const { status, message, lastSynced, bytes } = state.sync;
+  switch (status) {
+    case "off":
+      return "Sync is off. Data is only stored on this device.";
+    case "syncing":
+      return "Syncing…";
+    case "synced":
+      return `Synced at ${new Date(lastSynced).toLocaleTimeString()}${
+        bytes
+          ? ` (${formatByteSize(bytes)} of ${formatByteSize(SYNC_QUOTA_BYTES)})`
+          : ""
+      }.`;
+    case "quota":
+      return message;
+    default:
+      return `Sync failed: ${message}`;
+  }
+}
+
+function updateSyncStatus() {
+  const element = document.getElementById("sync-status");
+  if (element) element.textContent = describeSyncStatus();
+}
+// #endregion
+
+// #region Anki Export
+/*
+Sends examples to an AnkiConnect-compatible endpoint (AnkiConnect listens on
+http://127.0.0.1:8765 by default). Requests go through the background service
+worker (background.js), so the page's CORS rules don't apply. It only
+fetches origins the extension has a host permission for: AnkiConnect's
+default port on 127.0.0.1 and localhost, or another URL the user allowed on
+the options page, which opens when a new URL is saved. AnkiConnect may still
+want the extension's origin in its webCorsOriginList.
+Settings are stored under "ANKI_SETTINGS". fields maps each part of an
+example to the name of an Anki field, and parts mapped to "" aren't sent.
+With updateExisting, a note in the deck whose word field already holds the
+word gets its fields updated instead of a new note being added. A word with
+several favorites gets one note per favorite: the batch export only updates
+notes that were there before it started, one favorite each, and adds the
+rest even though their word field repeats.
+*/
+const ANKI_SETTINGS_KEY = "ANKI_SETTINGS";
+const DEFAULT_ANKI_SETTINGS = {
+  url: "http://127.0.0.1:8765",
+  deckName: "Default",
+  modelName: "Basic",
+  tags: "jpdb-immersion-kit",
+  updateExisting: true,
+  fields: {
+    word: "Front",
+    sentence: "Back",
+    translation: "",
+    image: "",
+    audio: "",
+    deck: "",
+  },
+};
+const ANKI_FIELD_NAMES = {
+  word: "Word",
+  sentence: "Sentence",
+  translation: "Translation",
+  image: "Image",
+  audio: "Audio",
+  deck: "Source deck",
+};
+
+function normalizeAnkiSettings(settings) {
+  const fields = {};
+  for (const [key, value] of Object.entries(DEFAULT_ANKI_SETTINGS.fields)) {
+    const field = settings?.fields?.[key];
+    fields[key] = typeof field === "string" ? field.trim() : value;
+  }
+  const getString = (key) =>
+    typeof settings?.[key] === "string" && settings[key].trim()
+      ? settings[key].trim()
+      : DEFAULT_ANKI_SETTINGS[key];
+
+  return {
+    url: getAnkiUrl(settings?.url) || DEFAULT_ANKI_SETTINGS.url,
+    deckName: getString("deckName"),
+    modelName: getString("modelName"),
+    tags: typeof settings?.tags === "string" ? settings.tags.trim() : "",
+    updateExisting: settings?.updateExisting ?? true,
+    fields,
+  };
+}
+
+// The URL without a trailing slash, or null if it isn't an http(s) URL
+function getAnkiUrl(text) {
+  if (typeof text !== "string") return null;
+  try {
+    const url = new URL(text.trim());
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    return url.href.replace(/\/+$/, "");
+  } catch (error) {
+    return null;
+  }
+}
+
+async function getAnkiSettings() {
+  return normalizeAnkiSettings(await chromeStorage.get(ANKI_SETTINGS_KEY));
+}
+
+async function storeAnkiSettings(settings) {
+  await chromeStorage.set(ANKI_SETTINGS_KEY, normalizeAnkiSettings(settings));
+}
+
+// Asks the background worker whether the URL may be fetched. If not, it opens
+// the options page, where the user can allow it.
+async function requestAnkiPermission(url) {
+  const { granted } = await chrome.runtime.sendMessage({
+    type: "ankiPermission",
+    url,
+  });
+  return granted;
+}
+
+async function ankiRequest(settings, action, params = {}) {
+  const { result, error } = await chrome.runtime.sendMessage({
+    type: "ankiRequest",
+    url: settings.url,
+    body: { action, version: 6, params },
+  });
+  if (error) throw new Error(error);
+  return result;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Escapes a value for an Anki search query
+function escapeAnkiQuery(text) {
+  return text.replace(/[\\"*_:]/g, "\\$&");
+}
+
+// Media from offline packs isn't reachable by Anki, so it's sent as data
+async function getAnkiMedia(url, field) {
+  const extension = (url.match(/\.(\w+)(?:[?#]|$)/) || [, "bin"])[1];
+  const media = {
+    filename: `immersion-kit-${hashString(url)}.${extension}`,
+    fields: [field],
+  };
+
+  const localUrl = await getLocalMediaUrl(url);
+  if (!localUrl) return { ...media, url };
+
+  const blob = await (await fetch(localUrl)).blob();
+  const data = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(",")[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+  return { ...media, data };
+}
+
+// Ids of the notes in the export deck whose word field holds vocab
+async function findAnkiNotes(vocab, settings) {
+  if (!settings.fields.word) return [];
+  return ankiRequest(settings, "findNotes", {
+    query: `"deck:${escapeAnkiQuery(settings.deckName)}" "${escapeAnkiQuery(
+      settings.fields.word
+    )}:${escapeAnkiQuery(vocab)}"`,
+  });
+}
+
+// Updates the note noteId, or adds a new note when there's none. Returns
+// "added", "updated" or "duplicate" (Anki refused the new note because its
+// first field repeats another note's and allowDuplicate is off).
+async function exportToAnki(
+  vocab,
+  example,
+  settings,
+  { noteId = null, allowDuplicate = false } = {}
+) {
+  const { fields: mapping } = settings;
+  const sentence = escapeHtml(example.sentence || "");
+  const values = {
+    word: escapeHtml(vocab),
+    sentence: vocab
+      ? sentence.split(escapeHtml(vocab)).join(`<b>${escapeHtml(vocab)}</b>`)
+      : sentence,
+    translation: escapeHtml(example.translation || ""),
+    deck: escapeHtml(example.deck_name || ""),
+  };
+
+  const fields = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (mapping[key]) fields[mapping[key]] = value;
+  }
+  // Media fields get filled by AnkiConnect, but they need to exist
+  if (mapping.image) fields[mapping.image] = "";
+  if (mapping.audio) fields[mapping.audio] = "";
+
+  const picture =
+    mapping.image && example.image_url
+      ? [await getAnkiMedia(example.image_url, mapping.image)]
+      : [];
+  const audio =
+    mapping.audio && example.sound_url
+      ? [await getAnkiMedia(example.sound_url, mapping.audio)]
+      : [];
+
+  if (noteId) {
+    await ankiRequest(settings, "updateNoteFields", {
+      note: { id: noteId, fields, picture, audio },
+    });
+    return "updated";
+  }
+
+  try {
+    await ankiRequest(settings, "addNote", {
+      note: {
+        deckName: settings.deckName,
+        modelName: settings.modelName,
+        fields,
+        tags: settings.tags.split(/\s+/).filter(Boolean),
+        picture,
+        audio,
+        options: { allowDuplicate },
+      },
+    });
+  } catch (error) {
+    if (/duplicate/i.test(error.message)) return "duplicate";
+    throw error;
+  }
+  return "added";
+}
+
+// Exports the example shown for the current word
+async function exportExampleToAnki(vocab, example) {
+  const settings = await getAnkiSettings();
+  const [noteId] = settings.updateExisting
+    ? await findAnkiNotes(vocab, settings)
+    : [];
+  return exportToAnki(vocab, example, settings, { noteId });
+}
+
+// Exports every favorite of every word.
+// Returns { added, updated, duplicates, failures }.
+async function exportAllFavoritesToAnki(onProgress) {
+  const settings = await getAnkiSettings();
+  const storage = await chromeStorage.getAll();
+  const words = [];
+  let total = 0;
+  for (const [key, record] of Object.entries(storage)) {
+    if (!key.startsWith(WORD_KEY_PREFIX)) continue;
+    const favorites = normalizeStoredExamples(record?.favorites);
+    if (favorites.length === 0) continue;
+    words.push({ vocab: key.slice(WORD_KEY_PREFIX.length), favorites });
+    total += favorites.length;
+  }
+
+  const result = { added: 0, updated: 0, duplicates: 0, failures: [] };
+  const addFailure = (vocab, error) => {
+    console.error(`Error exporting ${vocab} to Anki:`, error);
+    result.failures.push({ vocab, error: error.message || String(error) });
+  };
+  let done = 0;
+  for (const { vocab, favorites } of words) {
+    // Looked up once per word, so notes added for its earlier favorites
+    // aren't taken for existing ones
+    let noteIds;
+    try {
+      noteIds = settings.updateExisting
+        ? await findAnkiNotes(vocab, settings)
+        : [];
+    } catch (error) {
+      addFailure(vocab, error);
+      done += favorites.length;
+      onProgress?.(done, total);
+      continue;
+    }
+
+    let added = 0;
+    for (const [index, example] of favorites.entries()) {
+      try {
+        // The word's own favorites aren't duplicates of each other or of the
+        // notes being updated for it, only of notes left alone
+        const outcome = await exportToAnki(vocab, example, settings, {
+          noteId: noteIds[index] ?? null,
+          allowDuplicate: added > 0 || noteIds.length > 0,
+        });
+        if (outcome === "added") added++;
+        result[outcome === "duplicate" ? "duplicates" : outcome]++;
+      } catch (error) {
+        addFailure(vocab, error);
+      }
+      onProgress?.(++done, total);
+    }
+  }
+  return result;
+}
+// #endregion
+
+// #region UI Component Creation Functions
+function createAnchor(marginLeft) {
+  const anchor = document.createElement("a");
+  anchor.href = "#";
+  anchor.style.border = "0";
+  anchor.style.display = "inline-flex";
+  anchor.style.verticalAlign = "middle";
   anchor.style.marginLeft = marginLeft;
   return anchor;
 }
 
-function createIcon(iconClass, fontSize = "1.4rem", color = "#3d81ff") {
-  const icon = document.createElement("i");
-  icon.className = iconClass;
-  icon.style.fontSize = fontSize;
-  icon.style.opacity = "1.0";
-  icon.style.verticalAlign = "baseline";
-  icon.style.color = color;
-  return icon;
+function createIcon(iconClass, fontSize = "1.4rem", color = "#3d81ff") {
+  const icon = document.createElement("i");
+  icon.className = iconClass;
+  icon.style.fontSize = fontSize;
+  icon.style.opacity = "1.0";
+  icon.style.verticalAlign = "baseline";
+  icon.style.color = color;
+  return icon;
+}
+
+async function createSpeakerButton(soundUrl) {
+  const anchor = createAnchor("0.5rem");
+  anchor.id = "immersion-kit-speaker";
+  const icon = createIcon("ti ti-volume");
+  anchor.appendChild(icon);
+  anchor.addEventListener("click", (event) => {
+    event.preventDefault();
+    playAudio(soundUrl);
+  });
+  return anchor;
+}
+
+async function createStarButton() {
+  const anchor = createAnchor("0.5rem");
+  anchor.id = "immersion-kit-star";
+  const starIcon = document.createElement("span");
+  const currentExample = state.examples[state.currentExampleIndex];
+  starIcon.textContent = isFavorite(currentExample) ? "★" : "☆";
+
+  starIcon.style.fontSize = "1.4rem";
+  starIcon.style.color = "#3D8DFF";
+  starIcon.style.verticalAlign = "middle";
+  starIcon.style.position = "relative";
+  starIcon.style.top = "-2px";
+
+  anchor.appendChild(starIcon);
+  anchor.addEventListener("click", (event) => {
+    event.preventDefault();
+    toggleStarState(starIcon);
+  });
+
+  return anchor;
+}
+
+async function toggleStarState(starIcon) {
+  const currentExample = state.examples[state.currentExampleIndex];
+  if (
+    !currentExample ||
+    !currentExample.image_url ||
+    !currentExample.sound_url
+  ) {
+    return;
+  }
+
+  // Always work from the stored list in case another tab changed it
+  const favorites = await getFavorites(state.vocab);
+  const id = getExampleId(currentExample);
+  const isStarred = favorites.some((favorite) => getExampleId(favorite) === id);
+
+  const newFavorites = isStarred
+    ? favorites.filter((favorite) => getExampleId(favorite) !== id)
+    : [...favorites, currentExample];
+
+  await storeFavorites(state.vocab, newFavorites);
+  state.favorites = await getFavorites(state.vocab);
+  refreshExamples();
+  starIcon.textContent = isStarred ? "☆" : "★";
+  renderImageAndPlayAudio(state.vocab, false);
+}
+
+function createLoopButton(soundUrl) {
+  const anchor = createAnchor("0.5rem");
+  anchor.id = "immersion-kit-loop";
+  const icon = createIcon("ti ti-repeat");
+
+  const loop = state.audioLoop?.url === soundUrl ? state.audioLoop : null;
+  if (!loop) {
+    icon.style.color = "var(--subsection-label-color)";
+    icon.title = "A-B loop: click to set A";
+  } else if (loop.b === null) {
+    icon.title = `A-B loop: A at ${loop.a.toFixed(1)}s, click to set B`;
+  } else {
+    icon.className = "ti ti-repeat-once";
+    icon.title = `Looping ${loop.a.toFixed(1)}s-${
+      loop.b === Infinity ? "end" : `${loop.b.toFixed(1)}s`
+    }, click to clear`;
+  }
+
+  anchor.appendChild(icon);
+  anchor.addEventListener("click", (event) => {
+    event.preventDefault();
+    if (!soundUrl) return;
+    toggleAudioLoop(soundUrl);
+    anchor.replaceWith(createLoopButton(soundUrl));
+  });
+  return anchor;
+}
+
+function createAnkiButton() {
+  const anchor = createAnchor("0.5rem");
+  anchor.id = "immersion-kit-anki";
+  const icon = createIcon("ti ti-file-export");
+  icon.title = "Export this example to Anki";
+  anchor.appendChild(icon);
+
+  anchor.addEventListener("click", async (event) => {
+    event.preventDefault();
+    const currentExample = state.examples[state.currentExampleIndex];
+    if (!currentExample || icon.className === "ti ti-loader") return;
+
+    icon.className = "ti ti-loader";
+    try {
+      const result = await exportExampleToAnki(state.vocab, currentExample);
+      icon.className = "ti ti-check";
+      icon.title = {
+        added: "Added to Anki",
+        updated: "Updated in Anki",
+        duplicate: "Already in Anki",
+      }[result];
+    } catch (error) {
+      console.error("Error exporting to Anki:", error);
+      icon.className = "ti ti-alert-triangle";
+      icon.title = `Anki export failed: ${error.message || error}`;
+    }
+  });
+  return anchor;
+}
+
+function createHideButton() {
+  const anchor = createAnchor("0.5rem");
+  anchor.id = "immersion-kit-hide";
+  const icon = createIcon("ti ti-eye-off");
+  icon.title = "Hide this example";
+  anchor.appendChild(icon);
+  anchor.addEventListener("click", (event) => {
+    event.preventDefault();
+    const currentExample = state.examples[state.currentExampleIndex];
+    if (currentExample) createHidePopup(currentExample);
+  });
+  return anchor;
+}
+
+function createHidePopup(example) {
+  const popupOverlay = document.createElement("div");
+  popupOverlay.style.position = "fixed";
+  popupOverlay.style.top = "0";
+  popupOverlay.style.left = "0";
+  popupOverlay.style.width = "100%";
+  popupOverlay.style.height = "100%";
+  popupOverlay.style.backgroundColor = "rgba(0, 0, 0, 0.75)";
+  popupOverlay.style.zIndex = "1001";
+  popupOverlay.setAttribute("data-immersion-kit-modal", "");
+  popupOverlay.style.display = "flex";
+  popupOverlay.style.justifyContent = "center";
+  popupOverlay.style.alignItems = "center";
+
+  const popupContent = document.createElement("div");
+  popupContent.style.backgroundColor = "var(--background-color)";
+  popupContent.style.padding = "20px";
+  popupContent.style.borderRadius = "5px";
+  popupContent.style.textAlign = "center";
+  popupContent.style.display = "flex";
+  popupContent.style.flexDirection = "column";
+  popupContent.style.gap = "10px";
+
+  const messageElem = document.createElement("p");
+  messageElem.textContent = `Hide examples for ${state.vocab}. You can unhide them from the settings menu.`;
+
+  const close = () => popupOverlay.remove();
+
+  const exampleButton = createActionButton("Hide this example", async () => {
+    close();
+    await hideExample(example, false);
+  });
+  exampleButton.style.backgroundColor = "#C82800";
+  exampleButton.style.color = "white";
+  popupContent.append(messageElem, exampleButton);
+
+  if (example.deck_name) {
+    const deckButton = createActionButton(
+      `Hide everything from ${example.deck_name}`,
+      async () => {
+        close();
+        await hideExample(example, true);
+      }
+    );
+    deckButton.style.backgroundColor = "#C82800";
+    deckButton.style.color = "white";
+    popupContent.appendChild(deckButton);
+  }
+
+  popupContent.appendChild(createActionButton("Cancel", close));
+  popupOverlay.appendChild(popupContent);
+  document.body.appendChild(popupOverlay);
+}
+
+async function hideExample(example, hideWholeDeck) {
+  const hidden = await getHidden(state.vocab);
+  if (hideWholeDeck) {
+    hidden.decks.push(example.deck_name);
+  } else {
+    hidden.examples.push(example);
+
+    // Hiding a favorite unstars it, since favorites always stay pinned
+    const favorites = await getFavorites(state.vocab);
+    const id = getExampleId(example);
+    if (favorites.some((favorite) => getExampleId(favorite) === id)) {
+      await storeFavorites(
+        state.vocab,
+        favorites.filter((favorite) => getExampleId(favorite) !== id)
+      );
+    }
+  }
+  await storeHidden(state.vocab, hidden);
+
+  state.favorites = await getFavorites(state.vocab);
+  state.hidden = await getHidden(state.vocab);
+  refreshExamples();
+  embedImageAndPlayAudio();
+}
+
+async function unhideExample(vocab, example, isDeck) {
+  const hidden = await getHidden(vocab);
+  if (isDeck) {
+    hidden.decks = hidden.decks.filter((deck) => deck !== example.deck_name);
+  } else {
+    const id = getExampleId(example);
+    hidden.examples = hidden.examples.filter(
+      (hiddenExample) => getExampleId(hiddenExample) !== id
+    );
+  }
+  await storeHidden(vocab, hidden);
+
+  if (vocab === state.vocab) {
+    state.hidden = hidden;
+    refreshExamples();
+    renderImageAndPlayAudio(state.vocab, false);
+  }
+}
+
+function createFavoritesButton() {
+  const anchor = createAnchor("0.5rem");
+  const icon = createIcon("ti ti-list-numbers");
+  icon.title = "Manage favorites";
+  anchor.appendChild(icon);
+
+  if (state.favorites.length > 0) {
+    const count = document.createElement("span");
+    count.textContent = state.favorites.length.toString();
+    count.style.fontSize = "75%";
+    count.style.color = "#3D8DFF";
+    count.style.marginLeft = "2px";
+    anchor.appendChild(count);
+  }
+
+  anchor.addEventListener("click", (event) => {
+    event.preventDefault();
+    document.body.appendChild(createFavoritesMenu());
+  });
+
+  return anchor;
+}
+
+function createQuoteButton() {
+  const anchor = createAnchor("0rem");
+  anchor.id = "immersion-kit-quote";
+  const quoteIcon = document.createElement("span");
+
+  quoteIcon.innerHTML = state.exactSearch ? "<b>「」</b>" : "『』";
+
+  quoteIcon.style.fontSize = "1.1rem";
+  quoteIcon.style.color = "#3D8DFF";
+  quoteIcon.style.verticalAlign = "middle";
+  quoteIcon.style.position = "relative";
+  quoteIcon.style.top = "0px";
+
+  anchor.appendChild(quoteIcon);
+  anchor.addEventListener("click", (event) => {
+    event.preventDefault();
+    toggleQuoteState(quoteIcon);
+  });
+
+  return anchor;
+}
+
+async function toggleQuoteState(quoteIcon) {
+  state.exactSearch = !state.exactSearch;
+  quoteIcon.innerHTML = state.exactSearch ? "<b>「」</b>" : "『』";
+
+  state.currentExampleIndex = 0;
+  state.apiDataFetched = false;
+  embedImageAndPlayAudio();
+  try {
+    await getImmersionKitData(state.vocab, state.exactSearch);
+    embedImageAndPlayAudio();
+  } catch (error) {
+    console.error(error);
+  }
 }
+// #endregion
 
-async function createSpeakerButton(soundUrl) {
+// #region Menu Functions
+function createMenuButton() {
   const anchor = createAnchor("0.5rem");
-  const icon = createIcon("ti ti-volume");
-  anchor.appendChild(icon);
+  anchor.id = "immersion-kit-menu";
+  const menuIcon = document.createElement("span");
+  menuIcon.innerHTML = "☰";
+
+  menuIcon.style.fontSize = "1.4rem";
+  menuIcon.style.color = "#3D8DFF";
+  menuIcon.style.verticalAlign = "middle";
+  menuIcon.style.position = "relative";
+  menuIcon.style.top = "-2px";
+
+  anchor.appendChild(menuIcon);
   anchor.addEventListener("click", (event) => {
     event.preventDefault();
-    playAudio(soundUrl);
+    const overlay = createOverlayMenu();
+    document.body.appendChild(overlay);
   });
+
   return anchor;
 }
 
-async function createStarButton() {
-  const anchor = createAnchor("0.5rem");
-  const starIcon = document.createElement("span");
-  const storedValue = await chromeStorage.get(state.vocab);
-  const currentExample = state.examples[state.currentExampleIndex];
+function createOverlayMenu() {
+  const { overlay, menuContent } = createOverlay("overlayMenu");
+
+  // Add configuration options
+  addConfigOptions(menuContent);
+
+  menuContent.appendChild(createProviderSection());
+  menuContent.appendChild(createWordListsSection());
+  menuContent.appendChild(createKnownWordsSection());
+  menuContent.appendChild(createProfilesSection());
+  menuContent.appendChild(createRankingSection());
+  menuContent.appendChild(createDeckFilterSection());
+  menuContent.appendChild(createHiddenExamplesSection());
+  menuContent.appendChild(createOfflinePacksSection());
+  menuContent.appendChild(createWarmUpSection());
+  menuContent.appendChild(createCacheSection());
+  menuContent.appendChild(createAnkiSection());
+  menuContent.appendChild(createBackupSection());
+  menuContent.appendChild(createSyncSection());
+  menuContent.appendChild(createKeybindingsSection());
+
+  // Add menu buttons
+  const menuButtons = createMenuButtons();
+  menuContent.appendChild(menuButtons);
+
+  return overlay;
+}
+
+function createOverlay(id) {
+  const overlay = document.createElement("div");
+  overlay.id = id;
+  overlay.style.position = "fixed";
+  overlay.style.top = "0";
+  overlay.style.left = "0";
+  overlay.style.width = "100%";
+  overlay.style.height = "100%";
+  overlay.style.backgroundColor = "rgba(0, 0, 0, 0.75)";
+  overlay.style.zIndex = "1000";
+  overlay.setAttribute("data-immersion-kit-modal", "");
+  overlay.style.display = "flex";
+  overlay.style.justifyContent = "center";
+  overlay.style.alignItems = "center";
+
+  const menuContent = document.createElement("div");
+  menuContent.style.backgroundColor = "var(--background-color)";
+  menuContent.style.color = "var(--text-color)";
+  menuContent.style.padding = "20px";
+  menuContent.style.borderRadius = "5px";
+  menuContent.style.boxShadow = "0 0 10px rgba(0, 0, 0, 0.5)";
+  menuContent.style.width = "80%";
+  menuContent.style.maxWidth = "550px";
+  menuContent.style.maxHeight = "80%";
+  menuContent.style.overflowY = "auto";
+
+  overlay.appendChild(menuContent);
+  return { overlay, menuContent };
+}
+
+// Collapsible section for the settings overlay
+function createMenuSection(title) {
+  const section = document.createElement("details");
+  section.style.marginTop = "15px";
+
+  const summary = document.createElement("summary");
+  summary.textContent = title;
+  summary.style.cursor = "pointer";
+  summary.style.fontWeight = "bold";
+  section.appendChild(summary);
+
+  return section;
+}
+
+function createProviderSection() {
+  const section = createMenuSection("Example Source");
+
+  const container = document.createElement("div");
+  container.id = "providerOptions";
+  container.style.display = "grid";
+  container.style.gridTemplateColumns = "auto 1fr";
+  container.style.gap = "5px 10px";
+  container.style.alignItems = "center";
+  container.style.marginTop = "10px";
+  section.appendChild(container);
+
+  const providerLabel = document.createElement("label");
+  providerLabel.textContent = "Source";
+  const providerSelect = document.createElement("select");
+  providerSelect.setAttribute("data-provider-setting", "provider");
+  for (const provider of Object.values(EXAMPLE_PROVIDERS)) {
+    const option = document.createElement("option");
+    option.value = provider.id;
+    option.textContent = provider.name;
+    providerSelect.appendChild(option);
+  }
+  providerSelect.value = state.providerSettings.provider;
+
+  const urlLabel = document.createElement("label");
+  urlLabel.textContent = "Base URL";
+  const urlInput = document.createElement("input");
+  urlInput.type = "text";
+  urlInput.setAttribute("data-provider-setting", "baseUrl");
+
+  // Show the URL for whichever provider is selected
+  const updateUrlInput = () => {
+    const provider = EXAMPLE_PROVIDERS[providerSelect.value];
+    urlInput.placeholder = provider.defaultBaseUrl;
+    urlInput.value = state.providerSettings.baseUrls[provider.id] || "";
+  };
+  providerSelect.addEventListener("change", updateUrlInput);
+  updateUrlInput();
+
+  container.append(providerLabel, providerSelect, urlLabel, urlInput);
+  return section;
+}
+
+// Returns true if the selected source changed
+async function saveProviderSettings(overlay) {
+  const container = overlay.querySelector("#providerOptions");
+  if (!container) return false;
+
+  const providerId = container.querySelector(
+    '[data-provider-setting="provider"]'
+  ).value;
+  const baseUrl = container
+    .querySelector('[data-provider-setting="baseUrl"]')
+    .value.trim();
+
+  const previousProvider = getExampleProvider();
+  const previousBaseUrl = getProviderBaseUrl(previousProvider);
+
+  const baseUrls = { ...state.providerSettings.baseUrls };
+  if (baseUrl) {
+    baseUrls[providerId] = baseUrl;
+  } else {
+    delete baseUrls[providerId];
+  }
+  await storeProviderSettings({ provider: providerId, baseUrls });
+
+  const provider = getExampleProvider();
+  return (
+    provider !== previousProvider ||
+    getProviderBaseUrl(provider) !== previousBaseUrl
+  );
+}
+
+function createWordListsSection() {
+  const section = createMenuSection("Word Lists");
+
+  const status = document.createElement("div");
+  status.style.margin = "10px 0";
+  status.style.color = "var(--subsection-label-color)";
+  status.textContent =
+    "Import a leveled CSV/TSV word list (Quartet, Tobira, JLPT…) to rank examples by it.";
+
+  const listSelect = document.createElement("select");
+  listSelect.style.width = "100%";
+  listSelect.addEventListener("change", async () => {
+    await selectWordList(listSelect.value);
+    renderLists();
+    rerankCurrentWord();
+  });
+
+  const removeButton = createActionButton("Remove Selected List", async () => {
+    if (listSelect.value === BUNDLED_WORD_LIST.id) return;
+    await removeWordList(listSelect.value);
+    renderLists();
+    rerankCurrentWord();
+  });
+  removeButton.style.marginTop = "5px";
+
+  function renderLists() {
+    listSelect.innerHTML = "";
+    for (const wordList of [BUNDLED_WORD_LIST, ...state.wordLists]) {
+      const option = document.createElement("option");
+      option.value = wordList.id;
+      option.textContent =
+        wordList.words !== undefined
+          ? `${wordList.name} (${wordList.words} words)`
+          : wordList.name;
+      listSelect.appendChild(option);
+    }
+    listSelect.value = state.activeWordList;
+    removeButton.disabled = state.activeWordList === BUNDLED_WORD_LIST.id;
+  }
+  renderLists();
+
+  // Column mapping step, shown once a file is picked
+  const mappingContainer = document.createElement("div");
+  mappingContainer.style.display = "none";
+  mappingContainer.style.marginTop = "10px";
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".csv,.tsv,.txt";
+  fileInput.style.display = "none";
+  fileInput.addEventListener("change", async () => {
+    if (fileInput.files.length === 0) return;
+    const file = fileInput.files[0];
+    const { rows, errors } = parseDelimitedRows(await file.text());
+    fileInput.value = "";
+    if (rows.length === 0) {
+      status.textContent = "That file is empty.";
+      return;
+    }
+    status.textContent =
+      errors.length > 0
+        ? `Couldn't parse ${errors.length} rows (${errors
+            .slice(0, 5)
+            .map(({ line, message }) => `line ${line}: ${message}`)
+            .join("; ")}${errors.length > 5 ? "; …" : ""}). They'll be skipped.`
+        : `Read ${rows.length} rows. Map the columns below.`;
+    showColumnMapping(file.name.replace(/\.[^.]+$/, ""), rows);
+  });
+
+  function showColumnMapping(fileName, rows) {
+    mappingContainer.innerHTML = "";
+    mappingContainer.style.display = "block";
+
+    const columnCount = Math.max(...rows.map((row) => row.length));
+    const columnNames = Array.from(
+      { length: columnCount },
+      (_, index) => `${index + 1}: ${rows[0][index] || ""}`
+    );
+
+    const grid = document.createElement("div");
+    grid.style.display = "grid";
+    grid.style.gridTemplateColumns = "1fr 2fr";
+    grid.style.gap = "5px 10px";
+    grid.style.alignItems = "center";
+
+    const addRow = (text, input) => {
+      const label = document.createElement("label");
+      label.textContent = text;
+      label.style.textAlign = "left";
+      grid.append(label, input);
+    };
+
+    const createSelect = (options, value) => {
+      const select = document.createElement("select");
+      for (const [optionValue, text] of options) {
+        const option = document.createElement("option");
+        option.value = optionValue;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+      select.value = value;
+      return select;
+    };
+
+    const columnOptions = columnNames.map((name, index) => [index, name]);
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.value = fileName;
+
+    const kanaSelect = createSelect(columnOptions, 0);
+    const kanjiSelect = createSelect(
+      [[-1, "None"], ...columnOptions],
+      columnCount > 2 ? 1 : -1
+    );
+    const levelSelect = createSelect(columnOptions, columnCount - 1);
+    const formatSelect = createSelect(
+      Object.entries(LEVEL_FORMATS).map(([id, { name }]) => [id, name]),
+      "number"
+    );
+    const headerCheckbox = document.createElement("input");
+    headerCheckbox.type = "checkbox";
+    headerCheckbox.checked = true;
+    headerCheckbox.style.justifySelf = "start";
+
+    addRow("Name", nameInput);
+    addRow("Reading (kana)", kanaSelect);
+    addRow("Kanji", kanjiSelect);
+    addRow("Level / lesson", levelSelect);
+    addRow("Level format", formatSelect);
+    addRow("First row is a header", headerCheckbox);
+
+    const preview = document.createElement("div");
+    preview.style.margin = "10px 0";
+    preview.style.color = "var(--subsection-label-color)";
+    const updatePreview = () => {
+      const entries = buildWordListEntries(
+        rows.slice(headerCheckbox.checked ? 1 : 0, 6),
+        getMapping()
+      );
+      preview.textContent = entries.length
+        ? `Preview: ${entries
+            .map(
+              ({ kana, kanji, lesson }) =>
+                `${kanji || kana} → ${lesson === Infinity ? "?" : lesson}`
+            )
+            .join(", ")}`
+        : "Preview: no words found with this mapping";
+    };
+
+    const getMapping = () => ({
+      kana: Number(kanaSelect.value),
+      kanji: Number(kanjiSelect.value),
+      level: Number(levelSelect.value),
+      levelFormat: formatSelect.value,
+    });
+
+    for (const input of [
+      kanaSelect,
+      kanjiSelect,
+      levelSelect,
+      formatSelect,
+      headerCheckbox,
+    ]) {
+      input.addEventListener("change", updatePreview);
+    }
+    updatePreview();
+
+    const buttons = document.createElement("div");
+    buttons.style.display = "grid";
+    buttons.style.gridTemplateColumns = "1fr 1fr";
+    buttons.style.gap = "10px";
+    buttons.append(
+      createActionButton("Import List", async () => {
+        try {
+          const wordList = await importWordList(
+            nameInput.value.trim() || fileName,
+            rows.slice(headerCheckbox.checked ? 1 : 0),
+            getMapping()
+          );
+          await selectWordList(wordList.id);
+          status.textContent = `Imported ${wordList.entries.length} words from ${wordList.name}.`;
+          mappingContainer.style.display = "none";
+          renderLists();
+          rerankCurrentWord();
+        } catch (error) {
+          console.error("Error importing word list:", error);
+          status.textContent = `Import failed: ${error.message || error}`;
+        }
+      }),
+      createActionButton("Cancel", () => {
+        mappingContainer.style.display = "none";
+      })
+    );
+
+    mappingContainer.append(grid, preview, buttons);
+  }
+
+  const importButton = createActionButton("Import Word List", () =>
+    fileInput.click()
+  );
+  importButton.style.marginTop = "5px";
+
+  section.append(
+    status,
+    listSelect,
+    removeButton,
+    importButton,
+    fileInput,
+    mappingContainer
+  );
+  return section;
+}
+
+function createKnownWordsSection() {
+  const section = createMenuSection("Known Words");
+
+  const status = document.createElement("div");
+  status.style.margin = "10px 0";
+  const updateStatus = () => {
+    status.textContent =
+      state.knownWords.size > 0
+        ? `Ranking by ${state.knownWords.size} known words (fewest unknown words first).`
+        : `No known words imported. Ranking uses the ${getActiveWordListName()} list.`;
+  };
+  updateStatus();
+
+  const textarea = document.createElement("textarea");
+  textarea.rows = 4;
+  textarea.placeholder = "Paste known words, one per line";
+  textarea.style.width = "100%";
+
+  const saveKnownWords = async (words) => {
+    await storeKnownWords(words);
+    updateStatus();
+    rerankCurrentWord();
+  };
+
+  // Pasted text and files go through the same parser, so pasting a jpdb
+  // export's contents gives the same words as loading the file
+  const importKnownWords = async (text) => {
+    const words = parseWordList(text, ["spelling", "reading"]);
+    if (words.length > 0) await saveKnownWords(words);
+  };
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json,.txt,.csv,.tsv";
+  fileInput.style.display = "none";
+  fileInput.addEventListener("change", async () => {
+    if (fileInput.files.length === 0) return;
+    await importKnownWords(await fileInput.files[0].text());
+    fileInput.value = "";
+  });
+
+  const buttons = document.createElement("div");
+  buttons.style.display = "grid";
+  buttons.style.gridTemplateColumns = "repeat(3, 1fr)";
+  buttons.style.gap = "10px";
+  buttons.style.marginTop = "5px";
+  buttons.append(
+    createActionButton("Load jpdb Export", () => fileInput.click()),
+    createActionButton("Use Pasted", () => importKnownWords(textarea.value)),
+    createActionButton("Clear", () => saveKnownWords([]))
+  );
+
+  section.append(status, textarea, fileInput, buttons);
+  return section;
+}
+
+function createRankingSection() {
+  const section = createMenuSection("Ranking");
+
+  const container = document.createElement("div");
+  container.style.display = "grid";
+  container.style.gridTemplateColumns = "1fr 120px";
+  container.style.gap = "5px 10px";
+  container.style.alignItems = "center";
+  container.style.marginTop = "10px";
+  section.appendChild(container);
+
+  const modeSelect = document.createElement("select");
+  for (const [mode, label] of Object.entries(SORT_MODES)) {
+    const option = document.createElement("option");
+    option.value = mode;
+    option.textContent = label;
+    modeSelect.appendChild(option);
+  }
+  modeSelect.value = state.ranking.mode;
+
+  const createNumberInput = (value, step) => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = "0";
+    input.step = step;
+    input.value = value;
+    return input;
+  };
+
+  const weightInputs = {};
+  for (const [key, value] of Object.entries(state.ranking.weights)) {
+    weightInputs[key] = createNumberInput(value, "0.05");
+  }
+  const optimalLengthInput = createNumberInput(
+    state.ranking.optimalLength,
+    "1"
+  );
+
+  const addRow = (text, input) => {
+    const label = document.createElement("label");
+    label.textContent = text;
+    label.style.textAlign = "left";
+    container.append(label, input);
+  };
+  addRow("Sort mode", modeSelect);
+  addRow("Length weight", weightInputs.length);
+  addRow("Known vocab weight", weightInputs.vocab);
+  addRow("Lesson proximity weight", weightInputs.proximity);
+  addRow("Optimal length", optimalLengthInput);
+
+  // Weights only matter for the score mode
+  const updateDisabledInputs = () => {
+    for (const input of Object.values(weightInputs)) {
+      input.disabled = modeSelect.value !== "score";
+    }
+  };
+  updateDisabledInputs();
+
+  const applyRanking = async () => {
+    const weights = {};
+    for (const [key, input] of Object.entries(weightInputs)) {
+      weights[key] = input.value;
+    }
+    await storeRanking({
+      mode: modeSelect.value,
+      weights,
+      optimalLength: optimalLengthInput.value,
+    });
+    updateDisabledInputs();
+    rerankCurrentWord();
+  };
+
+  for (const input of [
+    modeSelect,
+    optimalLengthInput,
+    ...Object.values(weightInputs),
+  ]) {
+    input.addEventListener("change", applyRanking);
+  }
+
+  const resetButton = createActionButton("Reset Ranking", async () => {
+    await storeRanking(DEFAULT_RANKING);
+    modeSelect.value = state.ranking.mode;
+    for (const [key, input] of Object.entries(weightInputs)) {
+      input.value = state.ranking.weights[key];
+    }
+    optimalLengthInput.value = state.ranking.optimalLength;
+    updateDisabledInputs();
+    rerankCurrentWord();
+  });
+  resetButton.style.marginTop = "10px";
+  section.appendChild(resetButton);
+
+  return section;
+}
+
+function createDeckFilterSection() {
+  const section = createMenuSection("Deck Filter");
+
+  const container = document.createElement("div");
+  container.id = "deckFilterOptions";
+  container.style.display = "grid";
+  container.style.gridTemplateColumns = "1fr 1fr";
+  container.style.gap = "10px";
+  container.style.marginTop = "10px";
+  section.appendChild(container);
+
+  const createListInput = (labelText, listName) => {
+    const label = document.createElement("label");
+    label.textContent = labelText;
+    label.style.textAlign = "left";
+
+    const textarea = document.createElement("textarea");
+    textarea.rows = 4;
+    textarea.placeholder = "One deck per line";
+    textarea.value = state.deckFilter[listName].join("\n");
+    textarea.setAttribute("data-filter-list", listName);
+    textarea.style.width = "100%";
+    textarea.style.display = "block";
+
+    label.appendChild(textarea);
+    return label;
+  };
+
+  container.append(
+    createListInput("Only show decks", "include"),
+    createListInput("Never show decks", "exclude")
+  );
+
+  const categories = document.createElement("div");
+  categories.style.gridColumn = "1 / span 2";
+  categories.style.display = "flex";
+  categories.style.flexWrap = "wrap";
+  categories.style.gap = "10px";
+
+  for (const category of EXAMPLE_CATEGORIES) {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = state.deckFilter.categories[category];
+    checkbox.setAttribute("data-filter-category", category);
+    label.append(
+      checkbox,
+      ` ${category.charAt(0).toUpperCase()}${category.slice(1)}`
+    );
+    categories.appendChild(label);
+  }
+  container.appendChild(categories);
+
+  return section;
+}
+
+async function saveDeckFilter(overlay) {
+  const container = overlay.querySelector("#deckFilterOptions");
+  if (!container) return;
+
+  const filter = { categories: {} };
+  for (const textarea of container.querySelectorAll(
+    "textarea[data-filter-list]"
+  )) {
+    filter[textarea.getAttribute("data-filter-list")] =
+      textarea.value.split("\n");
+  }
+  for (const checkbox of container.querySelectorAll(
+    "input[data-filter-category]"
+  )) {
+    filter.categories[checkbox.getAttribute("data-filter-category")] =
+      checkbox.checked;
+  }
+
+  await storeDeckFilter(filter);
+}
+
+function createHiddenExamplesSection() {
+  const section = createMenuSection("Hidden Examples");
+
+  const list = document.createElement("div");
+  list.style.display = "grid";
+  list.style.gridTemplateColumns = "1fr auto";
+  list.style.gap = "5px";
+  list.style.alignItems = "center";
+  list.style.marginTop = "10px";
+  section.appendChild(list);
+
+  function addRow(vocab, text, example, isDeck) {
+    const label = document.createElement("span");
+    label.textContent = `${vocab}: ${text}`;
+    label.style.textAlign = "left";
+
+    const unhideButton = document.createElement("button");
+    unhideButton.textContent = "Unhide";
+    unhideButton.style.borderRadius = "4px";
+    unhideButton.addEventListener("click", async () => {
+      await unhideExample(vocab, example, isDeck);
+      label.remove();
+      unhideButton.remove();
+    });
+
+    list.append(label, unhideButton);
+  }
+
+  chromeStorage.getAll().then((items) => {
+    for (const [key, record] of Object.entries(items)) {
+      if (!key.startsWith(WORD_KEY_PREFIX)) continue;
+
+      const vocab = key.substring(WORD_KEY_PREFIX.length);
+      const hidden = normalizeHidden(record);
+      for (const deck of hidden.decks) {
+        addRow(vocab, `everything from ${deck}`, { deck_name: deck }, true);
+      }
+      for (const example of hidden.examples) {
+        addRow(vocab, example.sentence || example.image_url, example, false);
+      }
+    }
+
+    if (list.children.length === 0) {
+      const emptyText = document.createElement("span");
+      emptyText.textContent = "Nothing is hidden.";
+      emptyText.style.color = "var(--subsection-label-color)";
+      list.appendChild(emptyText);
+    }
+  });
+
+  return section;
+}
+
+function createOfflinePacksSection() {
+  const section = createMenuSection("Offline Packs");
+
+  const status = document.createElement("div");
+  status.style.margin = "10px 0";
+  status.style.color = "var(--subsection-label-color)";
+  status.textContent =
+    "Import a zip or folder with a pack.json to use examples without a connection.";
+
+  const createFileInput = (isFolder) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.style.display = "none";
+    if (isFolder) {
+      input.webkitdirectory = true;
+    } else {
+      input.accept = ".zip";
+    }
+
+    input.addEventListener("change", async () => {
+      if (input.files.length === 0) return;
+      try {
+        status.textContent = "Reading pack…";
+        const entries = isFolder
+          ? readFolderEntries(input.files)
+          : await readZipEntries(input.files[0]);
+        const fallbackName = isFolder
+          ? input.files[0].webkitRelativePath.split("/")[0]
+          : input.files[0].name.replace(/\.zip$/i, "");
+        const result = await importOfflinePack(
+          entries,
+          fallbackName,
+          (message) => (status.textContent = message)
+        );
+        status.textContent = `Imported ${result.words} words from ${
+          result.packName
+        }${
+          result.missingFiles > 0
+            ? ` (${result.missingFiles} media files missing)`
+            : ""
+        }`;
+        renderPacks();
+      } catch (error) {
+        console.error("Error importing offline pack:", error);
+        status.textContent = `Import failed: ${error.message || error}`;
+      }
+      input.value = "";
+    });
+    return input;
+  };
+
+  const zipInput = createFileInput(false);
+  const folderInput = createFileInput(true);
+
+  const buttons = document.createElement("div");
+  buttons.style.display = "grid";
+  buttons.style.gridTemplateColumns = "1fr 1fr";
+  buttons.style.gap = "10px";
+  buttons.append(
+    createActionButton("Import Zip", () => zipInput.click()),
+    createActionButton("Import Folder", () => folderInput.click())
+  );
+
+  const list = document.createElement("div");
+  list.style.display = "grid";
+  list.style.gridTemplateColumns = "1fr auto";
+  list.style.gap = "5px";
+  list.style.alignItems = "center";
+  list.style.marginTop = "10px";
+
+  function renderPacks() {
+    list.innerHTML = "";
+    for (const pack of state.offlinePacks) {
+      const label = document.createElement("span");
+      label.textContent = `${pack.name}: ${pack.words} words, ${pack.media} media files`;
+      label.style.textAlign = "left";
+
+      const removeButton = document.createElement("button");
+      removeButton.textContent = "Remove";
+      removeButton.style.borderRadius = "4px";
+      removeButton.addEventListener("click", async () => {
+        await removeOfflinePack(pack.name);
+        renderPacks();
+      });
 
-  if (storedValue && currentExample) {
-    const [storedImageUrl] = storedValue.split(",");
-    starIcon.textContent =
-      currentExample.image_url === storedImageUrl ? "★" : "☆";
-  } else {
-    starIcon.textContent = "☆";
+      list.append(label, removeButton);
+    }
   }
+  renderPacks();
 
-  starIcon.style.fontSize = "1.4rem";
-  starIcon.style.color = "#3D8DFF";
-  starIcon.style.verticalAlign = "middle";
-  starIcon.style.position = "relative";
-  starIcon.style.top = "-2px";
+  section.append(status, buttons, zipInput, folderInput, list);
+  return section;
+}
 
-  anchor.appendChild(starIcon);
-  anchor.addEventListener("click", (event) => {
-    event.preventDefault();
-    toggleStarState(starIcon);
+function createWarmUpSection() {
+  const section = createMenuSection("Cache Warm-up");
+
+  const description = document.createElement("div");
+  description.style.margin = "10px 0";
+  description.style.color = "var(--subsection-label-color)";
+  description.textContent =
+    "Paste words (one per line) or load a jpdb JSON or Anki text export to cache their examples ahead of time.";
+
+  const textarea = document.createElement("textarea");
+  textarea.rows = 5;
+  textarea.placeholder = "食べる\n飲む\n…";
+  textarea.style.width = "100%";
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json,.txt,.csv,.tsv";
+  fileInput.style.display = "none";
+  fileInput.addEventListener("change", async () => {
+    if (fileInput.files.length === 0) return;
+    const words = parseWordList(await fileInput.files[0].text());
+    textarea.value = words.join("\n");
+    fileInput.value = "";
   });
 
-  return anchor;
-}
+  const buttons = document.createElement("div");
+  buttons.style.display = "grid";
+  buttons.style.gridTemplateColumns = "repeat(4, 1fr)";
+  buttons.style.gap = "10px";
+  buttons.style.marginTop = "5px";
+  buttons.append(
+    createActionButton("Load File", () => fileInput.click()),
+    createActionButton("Start", () => {
+      const words = parseWordList(textarea.value);
+      if (words.length > 0) startWarmUp(words);
+    }),
+    createActionButton("Cancel", cancelWarmUp),
+    createActionButton("Clear Blanks", async () => {
+      await chromeStorage.remove(BLANK_WORDS_KEY);
+      updateWarmUpStatus();
+    })
+  );
 
-async function toggleStarState(starIcon) {
-  const storedValue = await chromeStorage.get(state.vocab);
+  const status = document.createElement("div");
+  status.id = "warmUpStatus";
+  status.style.marginTop = "10px";
 
-  const currentExample = state.examples[state.currentExampleIndex];
-  if (
-    !currentExample ||
-    !currentExample.image_url ||
-    !currentExample.sound_url
-  ) {
-    return;
-  }
+  const failures = document.createElement("div");
+  failures.id = "warmUpFailures";
+  failures.style.whiteSpace = "pre-wrap";
+  failures.style.fontSize = "85%";
+  failures.style.color = "var(--subsection-label-color)";
+  failures.style.maxHeight = "150px";
+  failures.style.overflowY = "auto";
 
-  if (storedValue) {
-    await chromeStorage.remove(state.vocab);
-    starIcon.textContent = "☆";
-  } else {
-    await storeData(
-      state.vocab,
-      currentExample.image_url,
-      currentExample.sound_url,
-      currentExample.sentence
-    );
-    starIcon.textContent = "★";
-  }
+  section.append(description, textarea, fileInput, buttons, status, failures);
+
+  // Pick up a warm-up that's still running from before the menu was opened
+  setTimeout(updateWarmUpStatus);
+  return section;
 }
 
-function createQuoteButton() {
-  const anchor = createAnchor("0rem");
-  const quoteIcon = document.createElement("span");
+function formatByteSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
 
-  quoteIcon.innerHTML = state.exactSearch ? "<b>「」</b>" : "『』";
+function createCacheSection() {
+  const section = createMenuSection("Cache");
 
-  quoteIcon.style.fontSize = "1.1rem";
-  quoteIcon.style.color = "#3D8DFF";
-  quoteIcon.style.verticalAlign = "middle";
-  quoteIcon.style.position = "relative";
-  quoteIcon.style.top = "0px";
+  const stats = document.createElement("div");
+  stats.style.margin = "10px 0";
+  stats.style.whiteSpace = "pre-wrap";
+  stats.textContent = "Loading cache stats…";
 
-  anchor.appendChild(quoteIcon);
-  anchor.addEventListener("click", (event) => {
-    event.preventDefault();
-    toggleQuoteState(quoteIcon);
+  async function loadStats() {
+    try {
+      const db = await IndexedDBManager.open();
+      const { count, approximateSize, oldest, newest } =
+        await IndexedDBManager.getStats(db);
+      const describe = (entry) =>
+        entry
+          ? `${entry.keyword} (${new Date(entry.timestamp).toLocaleString()})`
+          : "-";
+      stats.textContent = `Entries: ${count}\nApproximate size: ${formatByteSize(
+        approximateSize
+      )}\nOldest: ${describe(oldest)}\nNewest: ${describe(newest)}`;
+    } catch (error) {
+      stats.textContent = `Couldn't load cache stats: ${error}`;
+    }
+  }
+
+  // Stats scan the whole store, so only load them when the section is opened
+  section.addEventListener("toggle", () => {
+    if (section.open) loadStats();
   });
 
-  return anchor;
-}
+  const searchInput = document.createElement("input");
+  searchInput.type = "text";
+  searchInput.placeholder = 'Search cached words, or "deck:" and a deck name';
+  searchInput.style.width = "100%";
+
+  const results = document.createElement("div");
+  results.style.display = "grid";
+  results.style.gridTemplateColumns = "1fr auto auto";
+  results.style.gap = "5px";
+  results.style.alignItems = "center";
+  results.style.marginTop = "5px";
+
+  const createSmallButton = (text, onClick) => {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.style.borderRadius = "4px";
+    button.addEventListener("click", onClick);
+    return button;
+  };
 
-async function toggleQuoteState(quoteIcon) {
-  const storedValue = await chromeStorage.get(state.vocab);
-  const isBlacklisted =
-    storedValue &&
-    storedValue.split(",").length > 1 &&
-    parseInt(storedValue.split(",")[1], 10) === 2;
+  async function search() {
+    results.innerHTML = "";
+    const query = searchInput.value.trim();
+    if (!query) return;
+
+    const db = await IndexedDBManager.open();
+    const keywords = await IndexedDBManager.searchKeywords(db, query, 50);
+    for (const keyword of keywords) {
+      const entry = await IndexedDBManager.getEntry(db, keyword);
+      const label = document.createElement("span");
+      label.textContent = `${keyword} (${
+        entry?.data?.data?.[0]?.examples?.length || 0
+      } examples, ${new Date(entry?.timestamp).toLocaleDateString()})`;
+      label.style.textAlign = "left";
+
+      const refetchButton = createSmallButton("Refetch", async () => {
+        refetchButton.disabled = true;
+        try {
+          await refetchCacheEntry(keyword);
+          label.textContent = `${keyword} (refetched)`;
+        } catch (error) {
+          label.textContent = `${keyword} (${error.message})`;
+        }
+        refetchButton.disabled = false;
+      });
+      const deleteButton = createSmallButton("Delete", async () => {
+        await IndexedDBManager.deleteEntry(db, keyword);
+        label.remove();
+        refetchButton.remove();
+        deleteButton.remove();
+      });
 
-  if (isBlacklisted) {
-    return;
+      results.append(label, refetchButton, deleteButton);
+    }
+    if (keywords.length === 0) {
+      results.textContent = "No cached words match.";
+    }
   }
 
-  state.exactSearch = !state.exactSearch;
-  quoteIcon.innerHTML = state.exactSearch ? "<b>「」</b>" : "『』";
+  let searchTimer = null;
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(search, 300);
+  });
 
-  const storedData = await getStoredData(state.vocab);
-  if (storedData && storedData.exactState === state.exactSearch) {
-    state.currentExampleIndex = storedData.index;
-  } else {
-    state.currentExampleIndex = 0;
-  }
+  section.append(stats, searchInput, results);
+  return section;
+}
 
-  state.apiDataFetched = false;
-  embedImageAndPlayAudio();
-  try {
-    await getImmersionKitData(state.vocab, state.exactSearch);
-    embedImageAndPlayAudio();
-  } catch (error) {
-    console.error(error);
+function createFavoritesMenu() {
+  const { overlay, menuContent } = createOverlay("favoritesMenu");
+
+  const title = document.createElement("h6");
+  title.textContent = `Favorites for ${state.vocab}`;
+  title.style.marginTop = "0";
+  menuContent.appendChild(title);
+
+  const list = document.createElement("div");
+  list.style.display = "grid";
+  list.style.gridTemplateColumns = "1fr 30px 30px 30px";
+  list.style.gap = "5px";
+  list.style.alignItems = "center";
+  menuContent.appendChild(list);
+
+  async function saveFavorites(favorites) {
+    await storeFavorites(state.vocab, favorites);
+    state.favorites = await getFavorites(state.vocab);
+    refreshExamples();
+    renderFavorites();
+    renderImageAndPlayAudio(state.vocab, false);
   }
-}
-// #endregion
 
-// #region Menu Functions
-function createMenuButton() {
-  const anchor = createAnchor("0.5rem");
-  const menuIcon = document.createElement("span");
-  menuIcon.innerHTML = "☰";
+  function moveFavorite(index, offset) {
+    const favorites = [...state.favorites];
+    const [favorite] = favorites.splice(index, 1);
+    favorites.splice(index + offset, 0, favorite);
+    saveFavorites(favorites);
+  }
 
-  menuIcon.style.fontSize = "1.4rem";
-  menuIcon.style.color = "#3D8DFF";
-  menuIcon.style.verticalAlign = "middle";
-  menuIcon.style.position = "relative";
-  menuIcon.style.top = "-2px";
+  function renderFavorites() {
+    list.innerHTML = "";
 
-  anchor.appendChild(menuIcon);
-  anchor.addEventListener("click", (event) => {
-    event.preventDefault();
-    const overlay = createOverlayMenu();
-    document.body.appendChild(overlay);
-  });
+    if (state.favorites.length === 0) {
+      const emptyText = document.createElement("div");
+      emptyText.textContent =
+        "No favorites yet. Use ☆ to add the current example.";
+      emptyText.style.gridColumn = "1 / span 4";
+      emptyText.style.color = "var(--subsection-label-color)";
+      list.appendChild(emptyText);
+      return;
+    }
 
-  return anchor;
-}
+    state.favorites.forEach((favorite, index) => {
+      const label = document.createElement("a");
+      label.href = "#";
+      label.textContent = `${index + 1}. ${
+        favorite.sentence || "(no sentence)"
+      }${favorite.deck_name ? ` (${favorite.deck_name})` : ""}`;
+      label.title = "Show this example";
+      label.style.textAlign = "left";
+      label.addEventListener("click", (event) => {
+        event.preventDefault();
+        const exampleIndex = state.examples.findIndex(
+          (example) => getExampleId(example) === getExampleId(favorite)
+        );
+        if (exampleIndex === -1) return;
+        state.currentExampleIndex = exampleIndex;
+        overlay.remove();
+        renderImageAndPlayAudio(
+          state.vocab,
+          shouldAutoPlay(window.location.href)
+        );
+        preloadImages();
+      });
 
-function createOverlayMenu() {
-  const overlay = document.createElement("div");
-  overlay.id = "overlayMenu";
-  overlay.style.position = "fixed";
-  overlay.style.top = "0";
-  overlay.style.left = "0";
-  overlay.style.width = "100%";
-  overlay.style.height = "100%";
-  overlay.style.backgroundColor = "rgba(0, 0, 0, 0.75)";
-  overlay.style.zIndex = "1000";
-  overlay.style.display = "flex";
-  overlay.style.justifyContent = "center";
-  overlay.style.alignItems = "center";
+      const upButton = createButton("↑", () => moveFavorite(index, -1));
+      upButton.disabled = index === 0;
+      const downButton = createButton("↓", () => moveFavorite(index, 1));
+      downButton.disabled = index === state.favorites.length - 1;
+      const removeButton = createButton("✕", () =>
+        saveFavorites(state.favorites.filter((_, i) => i !== index))
+      );
 
-  const menuContent = document.createElement("div");
-  menuContent.style.backgroundColor = "var(--background-color)";
-  menuContent.style.color = "var(--text-color)";
-  menuContent.style.padding = "20px";
-  menuContent.style.borderRadius = "5px";
-  menuContent.style.boxShadow = "0 0 10px rgba(0, 0, 0, 0.5)";
-  menuContent.style.width = "80%";
-  menuContent.style.maxWidth = "550px";
-  menuContent.style.maxHeight = "80%";
-  menuContent.style.overflowY = "auto";
+      list.append(label, upButton, downButton, removeButton);
+    });
+  }
 
-  // Add configuration options
-  addConfigOptions(menuContent);
+  renderFavorites();
 
-  // Add menu buttons
-  const menuButtons = createMenuButtons();
-  menuContent.appendChild(menuButtons);
+  const closeButton = createActionButton("Close", () => overlay.remove());
+  closeButton.style.marginTop = "20px";
+  menuContent.appendChild(closeButton);
 
-  overlay.appendChild(menuContent);
   return overlay;
 }
 
+// Settings are listed by group, with their help text, from SETTINGS_SCHEMA
 function addConfigOptions(menuContent) {
-  const container = document.createElement("div");
-  container.style.display = "grid";
-  container.style.gridTemplateColumns = "1fr 25px 45px 25px"; // Label, -, Value, +
-  container.style.gap = "5px";
-  container.style.alignItems = "center";
-
-  for (const [key, value] of Object.entries(CONFIG)) {
-    const label = document.createElement("label");
-    label.textContent = key
-      .replace(/_/g, " ")
-      .split(" ")
-      .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(" ");
-    label.style.textAlign = "left";
-
-    if (typeof value === "boolean") {
-      const checkboxContainer = document.createElement("div");
-      checkboxContainer.style.gridColumn = "2 / span 3";
-      checkboxContainer.style.display = "flex";
-      checkboxContainer.style.justifyContent = "center";
-
-      const checkbox = document.createElement("input");
-      checkbox.type = "checkbox";
-      checkbox.checked = value;
-      checkbox.setAttribute("data-key", key);
-      checkbox.setAttribute("data-type", "boolean");
-      checkbox.setAttribute("data-type-part", "");
-
-      checkboxContainer.appendChild(checkbox);
-      container.appendChild(label);
-      container.appendChild(checkboxContainer);
-    } else {
-      const valueSpan = document.createElement("span");
-      valueSpan.textContent = value.toString().replace(/[px%rem]+$/, "");
-      valueSpan.style.textAlign = "center";
-      valueSpan.style.minWidth = "40px";
-      valueSpan.setAttribute("data-key", key);
-      valueSpan.setAttribute("data-type", typeof value);
-      valueSpan.setAttribute(
-        "data-type-part",
-        (value.toString().match(/[px%rem]+$/) || [""])[0]
+  const settingsDiv = document.createElement("div");
+  settingsDiv.id = "immersion-kit-settings";
+  menuContent.appendChild(settingsDiv);
+
+  // These are the stored settings; the active profile is applied on top
+  const profile = getActiveProfile();
+
+  for (const [group, keys] of getSettingGroups()) {
+    const heading = document.createElement("div");
+    heading.textContent = group;
+    heading.style.fontWeight = "bold";
+    heading.style.textAlign = "left";
+    heading.style.margin = "15px 0 5px";
+    settingsDiv.appendChild(heading);
+
+    const container = document.createElement("div");
+    container.style.display = "grid";
+    container.style.gridTemplateColumns = "1fr 25px 70px 25px"; // Label, -, Value, +
+    container.style.gap = "5px";
+    container.style.alignItems = "center";
+
+    for (const key of keys) {
+      const field = SETTINGS_SCHEMA[key];
+      const overriddenBy = key in (profile?.overrides || {}) ? profile : null;
+      container.appendChild(createSettingLabel(key, field, overriddenBy));
+      container.append(
+        ...createSettingControl(key, field, state.baseConfig[key])
       );
 
-      const decrementBtn = createButton("-", () => updateValue("decrease"));
-      const incrementBtn = createButton("+", () => updateValue("increase"));
-
-      function updateValue(action) {
-        const currentValue = parseFloat(valueSpan.textContent);
-        const increment = currentValue >= 200 ? 25 : currentValue >= 20 ? 5 : 1;
-        const newValue =
-          action === "increase"
-            ? currentValue + increment
-            : currentValue - increment;
-
-        if (newValue >= 0 && (key !== "SOUND_VOLUME" || newValue <= 100)) {
-          valueSpan.textContent = newValue.toString();
-          updateButtonStates();
-        }
-      }
+      // Filled in by saveConfig when the value isn't valid
+      const error = document.createElement("div");
+      error.id = `setting-error-${key}`;
+      error.style.gridColumn = "1 / -1";
+      error.style.textAlign = "left";
+      error.style.color = "#C82800";
+      error.style.display = "none";
+      container.appendChild(error);
+    }
 
-      function updateButtonStates() {
-        const currentValue = parseFloat(valueSpan.textContent);
-        decrementBtn.disabled = currentValue <= 0;
-        decrementBtn.style.color = currentValue <= 0 ? "grey" : "";
-        incrementBtn.disabled = key === "SOUND_VOLUME" && currentValue >= 100;
-        incrementBtn.style.color =
-          key === "SOUND_VOLUME" && currentValue >= 100 ? "grey" : "";
-      }
+    settingsDiv.appendChild(container);
+  }
+}
 
-      container.appendChild(label);
-      container.appendChild(decrementBtn);
-      container.appendChild(valueSpan);
-      container.appendChild(incrementBtn);
-      updateButtonStates();
-    }
+function createSettingLabel(key, field, overriddenBy) {
+  const label = document.createElement("label");
+  label.style.textAlign = "left";
+  label.textContent = getSettingLabel(key);
+
+  const help = document.createElement("div");
+  help.textContent = field.requiresReload
+    ? `${field.description} Needs a page reload.`
+    : field.description;
+  help.style.fontSize = "80%";
+  help.style.color = "var(--subsection-label-color)";
+  label.appendChild(help);
+
+  if (overriddenBy) {
+    const note = document.createElement("div");
+    note.textContent = `The "${
+      overriddenBy.name
+    }" profile sets this to ${formatSettingValue(
+      key,
+      overriddenBy.overrides[key]
+    )} here.`;
+    note.style.fontSize = "80%";
+    note.style.color = "#3d8dff";
+    label.appendChild(note);
   }
 
-  menuContent.appendChild(container);
+  return label;
 }
 
-function createInputElement(container, key, value) {
-  if (typeof value === "boolean") {
+// Returns the grid cells for a setting. The element with data-key holds the
+// value that saveConfig reads.
+function createSettingControl(key, field, value) {
+  const createWideCell = () => {
+    const cell = document.createElement("div");
+    cell.style.gridColumn = "2 / span 3";
+    cell.style.display = "flex";
+    cell.style.justifyContent = "center";
+    cell.style.gap = "5px";
+    return cell;
+  };
+
+  if (field.type === "boolean") {
+    const cell = createWideCell();
     const checkbox = document.createElement("input");
     checkbox.type = "checkbox";
     checkbox.checked = value;
     checkbox.setAttribute("data-key", key);
-    checkbox.setAttribute("data-type", "boolean");
-    checkbox.setAttribute("data-type-part", "");
-    container.appendChild(checkbox);
-  } else if (typeof value === "number" || typeof value === "string") {
-    const inputWrapper = document.createElement("div");
-    inputWrapper.style.display = "flex";
-    inputWrapper.style.alignItems = "center";
-
-    const decrementBtn = createButton("-", () => updateValue("decrease"));
-    const valueSpan = document.createElement("span");
-    valueSpan.textContent = value.toString();
-    valueSpan.style.margin = "0 10px";
-    valueSpan.style.minWidth = "3ch";
-    valueSpan.style.textAlign = "center";
-    valueSpan.setAttribute("data-key", key);
-    valueSpan.setAttribute("data-type", typeof value);
-    valueSpan.setAttribute(
-      "data-type-part",
-      typeof value === "string" ? "(px)" : ""
-    );
+    cell.appendChild(checkbox);
+    return [cell];
+  }
 
-    const incrementBtn = createButton("+", () => updateValue("increase"));
+  if (field.type === "color") {
+    const cell = createWideCell();
+
+    // A color input can't be empty, so the theme color has its own toggle
+    const colorInput = document.createElement("input");
+    colorInput.type = "color";
+    colorInput.value = value || "#3d8dff";
+    colorInput.disabled = !value;
+    colorInput.setAttribute("data-key", key);
+
+    const themeCheckbox = document.createElement("input");
+    themeCheckbox.type = "checkbox";
+    themeCheckbox.title = "Use the theme color";
+    themeCheckbox.checked = !value;
+    themeCheckbox.addEventListener("change", () => {
+      colorInput.disabled = themeCheckbox.checked;
+    });
 
-    function updateValue(action) {
-      const currentValue = parseFloat(valueSpan.textContent);
-      const increment = currentValue >= 200 ? 25 : currentValue >= 20 ? 5 : 1;
-      const newValue =
-        action === "increase"
-          ? currentValue + increment
-          : currentValue - increment;
+    cell.append(colorInput, themeCheckbox);
+    return [cell];
+  }
 
-      if (newValue >= 0 && (key !== "SOUND_VOLUME" || newValue <= 100)) {
-        valueSpan.textContent = newValue.toString();
-        updateButtonStates();
-      }
+  if (field.type === "choice") {
+    const cell = createWideCell();
+    const select = document.createElement("select");
+    for (const [option, label] of Object.entries(field.options)) {
+      select.appendChild(new Option(label, option));
     }
+    select.value = value;
+    select.setAttribute("data-key", key);
+    cell.appendChild(select);
+    return [cell];
+  }
 
-    function updateButtonStates() {
-      const currentValue = parseFloat(valueSpan.textContent);
-      decrementBtn.disabled = currentValue <= 0;
-      decrementBtn.style.color = currentValue <= 0 ? "grey" : "";
-      incrementBtn.disabled = key === "SOUND_VOLUME" && currentValue >= 100;
-      incrementBtn.style.color =
-        key === "SOUND_VOLUME" && currentValue >= 100 ? "grey" : "";
-    }
+  if (field.type === "text") {
+    const cell = createWideCell();
+    const textInput = document.createElement("input");
+    textInput.type = "text";
+    textInput.value = value;
+    textInput.setAttribute("data-key", key);
+    cell.appendChild(textInput);
+    return [cell];
+  }
+
+  // Numbers and lengths step within their bounds
+  const valueSpan = document.createElement("span");
+  valueSpan.style.textAlign = "center";
+  valueSpan.style.minWidth = "40px";
+  valueSpan.setAttribute("data-key", key);
+
+  const decrementBtn = createButton("-", () => updateValue(-field.step));
+  const incrementBtn = createButton("+", () => updateValue(field.step));
+
+  function setValue(number) {
+    valueSpan.dataset.value = number;
+    valueSpan.textContent = `${number}${field.unit ? ` ${field.unit}` : ""}`;
+    decrementBtn.disabled = number <= field.min;
+    decrementBtn.style.color = number <= field.min ? "grey" : "";
+    incrementBtn.disabled = number >= field.max;
+    incrementBtn.style.color = number >= field.max ? "grey" : "";
+  }
+
+  function updateValue(change) {
+    const number = Number(valueSpan.dataset.value) + change;
+    // Round off floating point error from fractional steps
+    setValue(
+      Math.min(Math.max(Math.round(number * 1000) / 1000, field.min), field.max)
+    );
+  }
 
-    inputWrapper.append(decrementBtn, valueSpan, incrementBtn);
-    container.appendChild(inputWrapper);
-    updateButtonStates();
+  setValue(getSettingNumber(key, value));
+  return [decrementBtn, valueSpan, incrementBtn];
+}
+
+// The value entered in a control from createSettingControl
+function readSettingControl(input) {
+  const field = SETTINGS_SCHEMA[input.getAttribute("data-key")];
+  if (field.type === "boolean") return input.checked;
+  if (field.type === "color") return input.disabled ? "" : input.value;
+  if (input instanceof HTMLInputElement || input instanceof HTMLSelectElement) {
+    return input.value;
   }
+  return input.dataset.value;
 }
 
 function createButton(text, onClick) {
@@ -1097,6 +5008,7 @@ function createConfirmationPopup(message, onYes, onNo) {
   popupOverlay.style.height = "100%";
   popupOverlay.style.backgroundColor = "rgba(0, 0, 0, 0.75)";
   popupOverlay.style.zIndex = "1001";
+  popupOverlay.setAttribute("data-immersion-kit-modal", "");
   popupOverlay.style.display = "flex";
   popupOverlay.style.justifyContent = "center";
   popupOverlay.style.alignItems = "center";
@@ -1135,55 +5047,216 @@ async function saveConfig() {
   const overlay = document.getElementById("overlayMenu");
   if (!overlay) return;
 
-  const changes = {};
-  const inputs = overlay.querySelectorAll("input[data-key], span[data-key]");
+  const values = {};
+  const errors = {};
+  const inputs = overlay.querySelectorAll("#immersion-kit-settings [data-key]");
 
   for (const input of inputs) {
     const key = input.getAttribute("data-key");
-    const type = input.getAttribute("data-type");
-
-    if (!key || !type || !CONFIG.hasOwnProperty(key)) continue;
+    if (!SETTINGS_SCHEMA[key]) continue;
 
-    let value;
-    if (type === "boolean") {
-      value = input.checked;
-    } else if (type === "number") {
-      value = parseFloat(input.textContent);
-    } else if (type === "string") {
-      value = input.textContent + (input.getAttribute("data-type-part") || "");
+    const { value, error } = parseSettingValue(key, readSettingControl(input));
+    if (error) {
+      errors[key] = error;
+    } else {
+      values[key] = value;
     }
+  }
+  if (Object.keys(errors).length === 0) {
+    Object.assign(errors, checkSettings({ ...state.baseConfig, ...values }));
+  }
+
+  // Like the options page, nothing is saved until every value is valid
+  let firstError = null;
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    const errorElement = overlay.querySelector(`#setting-error-${key}`);
+    if (!errorElement) continue;
+    errorElement.textContent = errors[key] || "";
+    errorElement.style.display = errors[key] ? "" : "none";
+    if (errors[key]) firstError ||= errorElement;
+  }
+  if (firstError) {
+    firstError.scrollIntoView({ block: "center" });
+    return;
+  }
 
-    // Only save if value is valid and different from current
-    if (value !== undefined && value !== CONFIG[key]) {
+  const changes = {};
+  let needsReload = false;
+  for (const [key, value] of Object.entries(values)) {
+    // Only save if value is different from the stored one
+    if (value !== state.baseConfig[key]) {
       changes[`CONFIG.${key}`] = value;
-      CONFIG[key] = value; // Update current config immediately
+      state.baseConfig[key] = value;
+      if (SETTINGS_SCHEMA[key].requiresReload) needsReload = true;
     }
   }
+  // Update current config immediately
+  applyActiveProfile();
 
-  // Save changes to chrome.storage
-  if (Object.keys(changes).length > 0) {
-    for (const [key, value] of Object.entries(changes)) {
-      await chromeStorage.set(key, value);
-    }
+  // Save changes to chrome.storage in one write, so onSettingsChanged
+  // re-renders once
+  const settingsChanged = Object.keys(changes).length > 0;
+  if (settingsChanged) await chromeStorage.setMany(changes);
+
+  await saveDeckFilter(overlay);
+
+  if (await saveProviderSettings(overlay)) {
+    // A different source means different examples, so fetch them again
+    state.apiDataFetched = false;
+    state.currentExampleIndex = 0;
+    getImmersionKitData(state.vocab, state.exactSearch)
+      .then(embedImageAndPlayAudio)
+      .catch((error) => console.error(error));
   }
 
-  // Refresh display
-  renderImageAndPlayAudio(state.vocab, CONFIG.AUTO_PLAY_SOUND);
-  setVocabSize();
-  setPageWidth();
+  // Changed settings are applied by onSettingsChanged. Otherwise only the
+  // deck filter may have changed, so re-filter the current word here.
+  if (!settingsChanged) applyConfigToPage();
 
   // Close menu
   overlay.remove();
+
+  if (needsReload) {
+    createConfirmationPopup(
+      "Some changes only apply after a reload. Reload the page now?",
+      () => location.reload(),
+      () => {}
+    );
+  }
 }
 // #endregion
 
 // #region Audio Functions
+/*
+All clips play through one shared AudioContext. Decoded clips are kept in
+memory (and time-stretched copies per playback speed), so replays start
+instantly. Playback plays the clip, or the A-B loop if one is set for it,
+AUDIO_REPEAT_COUNT times. In shadowing mode each play is followed by a pause
+as long as the part that was played.
+*/
+const AUDIO_CACHE_SIZE = 50;
+const audioBufferCache = new Map();
+let audioContext = null;
+
+function getAudioContext() {
+  if (!audioContext || audioContext.state === "closed") {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  return audioContext;
+}
+
+function getPlaybackRate() {
+  return Math.min(Math.max(CONFIG.PLAYBACK_SPEED, 25), 400) / 100;
+}
+
+// Returns the decoded clip, time-stretched to the playback rate
+async function getAudioBuffer(soundUrl, rate) {
+  const cacheKey = `${soundUrl}|${rate}`;
+  if (audioBufferCache.has(cacheKey)) {
+    // Move to the end so the least recently played clips get evicted first
+    const cached = audioBufferCache.get(cacheKey);
+    audioBufferCache.delete(cacheKey);
+    audioBufferCache.set(cacheKey, cached);
+    return cached;
+  }
+
+  let buffer;
+  if (rate === 1) {
+    const response = await fetch(
+      (await getLocalMediaUrl(soundUrl)) || soundUrl
+    );
+    buffer = await getAudioContext().decodeAudioData(
+      await response.arrayBuffer()
+    );
+  } else {
+    buffer = timeStretch(await getAudioBuffer(soundUrl, 1), rate);
+  }
+
+  audioBufferCache.set(cacheKey, buffer);
+  while (audioBufferCache.size > AUDIO_CACHE_SIZE) {
+    audioBufferCache.delete(audioBufferCache.keys().next().value);
+  }
+  return buffer;
+}
+
+// WSOLA time stretching: overlapping windowed frames are read from the input
+// at the playback rate and written out at a fixed hop, each one nudged to
+// line up with the waveform of the frame before it. That changes the speed
+// without changing the pitch, which playbackRate alone would.
+function timeStretch(buffer, rate) {
+  const frameSize = 2048;
+  const hop = frameSize / 2;
+  const tolerance = 512;
+  const outputLength = Math.ceil(buffer.length / rate);
+  const output = getAudioContext().createBuffer(
+    buffer.numberOfChannels,
+    outputLength,
+    buffer.sampleRate
+  );
+
+  const hann = new Float32Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize);
+  }
+
+  const inputs = Array.from({ length: buffer.numberOfChannels }, (_, c) =>
+    buffer.getChannelData(c)
+  );
+  const outputs = Array.from({ length: buffer.numberOfChannels }, (_, c) =>
+    output.getChannelData(c)
+  );
+  const reference = inputs[0];
+  const lastStart = buffer.length - frameSize;
+
+  let previousStart = -1;
+  for (let outputStart = 0; outputStart < outputLength; outputStart += hop) {
+    const nominalStart = Math.round(outputStart * rate);
+    let start = nominalStart;
+
+    // Find the offset that best continues the previous frame
+    if (previousStart >= 0 && previousStart + hop + hop <= buffer.length) {
+      const natural = previousStart + hop;
+      let bestScore = -Infinity;
+      for (let delta = -tolerance; delta <= tolerance; delta += 8) {
+        const candidate = nominalStart + delta;
+        if (candidate < 0 || candidate > lastStart) continue;
+        let score = 0;
+        for (let i = 0; i < hop; i += 4) {
+          score += reference[natural + i] * reference[candidate + i];
+        }
+        if (score > bestScore) {
+          bestScore = score;
+          start = candidate;
+        }
+      }
+    }
+
+    for (let c = 0; c < inputs.length; c++) {
+      const input = inputs[c];
+      const out = outputs[c];
+      for (let i = 0; i < frameSize; i++) {
+        const o = outputStart + i;
+        const n = start + i;
+        if (o >= outputLength) break;
+        if (n < 0 || n >= input.length) continue;
+        out[o] += input[n] * hann[i];
+      }
+    }
+    previousStart = start;
+  }
+
+  return output;
+}
+
 function stopCurrentAudio() {
   if (!state.currentAudio) return;
 
+  // A shadowing pause that's still running ends on its own, and playAudio
+  // notices it's been replaced
+  const playback = state.currentAudio;
   try {
-    state.currentAudio.source.stop();
-    state.currentAudio.context.close();
+    playback.source?.stop();
+    playback.source?.disconnect();
   } catch (error) {
     console.error("Error stopping audio:", error);
   }
@@ -1192,50 +5265,158 @@ function stopCurrentAudio() {
   state.currentlyPlayingAudio = false;
 }
 
-async function playAudio(soundUrl) {
-  if (!soundUrl) return;
+// Position in the clip (in seconds of the original audio) of the current
+// playback, or null if nothing of this clip is playing
+function getAudioPosition(soundUrl) {
+  const playback = state.currentAudio;
+  if (!playback?.source || playback.url !== soundUrl) return null;
+  const elapsed =
+    (getAudioContext().currentTime - playback.startedAt) * playback.rate;
+  return Math.min(playback.start + elapsed, playback.end);
+}
+
+// Resolves once playback is finished, including repeats and shadowing pauses,
+// with whether it finished without being replaced by other audio. With once,
+// the clip plays a single time at normal speed (for jpdb's word audio).
+async function playAudio(soundUrl, { once = false } = {}) {
+  if (!soundUrl) return false;
   stopCurrentAudio();
-  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const playback = { url: soundUrl, source: null };
+  state.currentAudio = playback;
+  state.currentlyPlayingAudio = true;
+  const isCurrent = () => state.currentAudio === playback;
 
   try {
-    state.currentlyPlayingAudio = true;
-    const response = await fetch(soundUrl);
-    const audioContext = new (window.AudioContext ||
-      window.webkitAudioContext)();
-    const audioBuffer = await audioContext.decodeAudioData(
-      await response.arrayBuffer()
-    );
+    const context = getAudioContext();
+    if (context.state === "suspended") await context.resume();
+
+    const rate = once ? 1 : getPlaybackRate();
+    const buffer = await getAudioBuffer(soundUrl, rate);
+    if (!isCurrent()) return false;
+
+    const duration = buffer.duration * rate;
+    const loop =
+      !once && state.audioLoop?.url === soundUrl && state.audioLoop.b !== null
+        ? state.audioLoop
+        : null;
+    Object.assign(playback, {
+      rate,
+      start: loop
+        ? loop.a
+        : Math.min(CONFIG.AUDIO_START_OFFSET_MS / 1000, duration),
+      end: loop ? Math.min(loop.b, duration) : duration,
+    });
+    // An A-B loop plays until it's cleared or something else plays
+    const repeats = once
+      ? 1
+      : loop
+      ? Infinity
+      : CONFIG.AUDIO_REPEAT_COUNT || Infinity;
+    const playedSeconds = (playback.end - playback.start) / rate;
+
+    for (let played = 0; played < repeats && isCurrent(); played++) {
+      await new Promise((resolve) => {
+        const source = context.createBufferSource();
+        const gainNode = context.createGain();
+        source.buffer = buffer;
+        source.connect(gainNode);
+        gainNode.connect(context.destination);
+        gainNode.gain.setValueAtTime(0, context.currentTime);
+        gainNode.gain.linearRampToValueAtTime(
+          CONFIG.SOUND_VOLUME / 100,
+          context.currentTime + CONFIG.AUDIO_FADE_IN_MS / 1000
+        );
 
-    if (state.currentlyPlayingAudio && state.currentAudio) {
-      audioContext.close();
-      return;
+        source.onended = resolve;
+        source.start(0, playback.start / rate, playedSeconds);
+        playback.source = source;
+        playback.startedAt = context.currentTime;
+      });
+      // Even if it was replaced since, as long as this pass wasn't cut short
+      if (context.currentTime - playback.startedAt >= playedSeconds - 0.05) {
+        onExampleAudioPlayed(soundUrl);
+      }
+
+      if (CONFIG.SHADOWING_MODE && !once && isCurrent()) {
+        playback.source = null;
+        await new Promise((resolve) =>
+          setTimeout(resolve, playedSeconds * 1000)
+        );
+      }
     }
+  } catch (error) {
+    console.error("Error playing audio:", error);
+  }
 
-    const source = audioContext.createBufferSource();
-    const gainNode = audioContext.createGain();
+  if (!isCurrent()) return false;
+  state.currentAudio = null;
+  state.currentlyPlayingAudio = false;
+  return true;
+}
 
-    source.buffer = audioBuffer;
-    source.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-    gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-    gainNode.gain.linearRampToValueAtTime(
-      CONFIG.SOUND_VOLUME / 100,
-      audioContext.currentTime + 0.1
-    );
+/*
+Autoplay is decided per page type (see getPageType) by the AUTO_PLAY_*
+settings, with AUTO_PLAY_SOUND switching it off everywhere. A card is a page
+URL and word, so the question and answer sides of a review count separately.
+*/
+const AUTO_PLAY_SETTINGS = {
+  vocabulary: "AUTO_PLAY_VOCABULARY_PAGES",
+  kanji: "AUTO_PLAY_KANJI_PAGES",
+  search: "AUTO_PLAY_SEARCH_PAGES",
+  reviewQuestion: "AUTO_PLAY_REVIEW_QUESTION",
+  reviewAnswer: "AUTO_PLAY_REVIEW_ANSWER",
+};
+
+function shouldAutoPlay(url) {
+  const setting = AUTO_PLAY_SETTINGS[getPageType(url)];
+  return CONFIG.AUTO_PLAY_SOUND && (!setting || CONFIG[setting]);
+}
+
+// jpdb's audio buttons list their clips in data-audio, comma separated and
+// relative to /static/v/
+function getJpdbWordAudioUrl() {
+  const audioLink = document.querySelector(".vocabulary-audio[data-audio]");
+  const clip = audioLink?.dataset.audio.split(",")[0].trim();
+  return clip
+    ? new URL(`/static/v/${clip}`, window.location.origin).href
+    : null;
+}
+
+async function autoPlayExample(soundUrl) {
+  if (!soundUrl) return;
 
-    source.start(0, 0.05);
-    state.currentAudio = { context: audioContext, source };
+  const card = `${window.location.href}|${state.vocab}`;
+  const isFirstOnCard = state.autoPlayedCard !== card;
+  if (CONFIG.AUTO_PLAY_FIRST_EXAMPLE_ONLY && !isFirstOnCard) return;
+  state.autoPlayedCard = card;
+
+  const wordAudioUrl =
+    isFirstOnCard && CONFIG.PLAY_JPDB_WORD_AUDIO_FIRST
+      ? getJpdbWordAudioUrl()
+      : null;
+  // Don't play the sentence if something else was played in the meantime
+  if (wordAudioUrl && !(await playAudio(wordAudioUrl, { once: true }))) return;
+  playAudio(soundUrl);
+}
 
-    source.onended = source.onerror = () => {
-      state.currentlyPlayingAudio = false;
-      state.currentAudio?.context.close();
-      state.currentAudio = null;
-    };
-  } catch (error) {
-    console.error("Error playing audio:", error);
-    state.currentlyPlayingAudio = false;
-    state.currentAudio?.context.close();
-    state.currentAudio = null;
+// Cycles the A-B loop of a clip: set A, set B (which starts looping), clear.
+// A and B are taken from the playback position, or the clip's start and end
+// when it isn't playing.
+function toggleAudioLoop(soundUrl) {
+  const loop = state.audioLoop?.url === soundUrl ? state.audioLoop : null;
+  const position = getAudioPosition(soundUrl);
+
+  if (!loop) {
+    state.audioLoop = { url: soundUrl, a: position ?? 0, b: null };
+  } else if (loop.b === null) {
+    const b = position ?? Infinity;
+    if (b - loop.a < 0.2) return;
+    loop.b = b;
+    playAudio(soundUrl);
+  } else {
+    state.audioLoop = null;
+    stopCurrentAudio();
   }
 }
 // #endregion
@@ -1277,16 +5458,35 @@ function createImageElement(wrapperDiv, imageUrl, vocab, exactSearch) {
   let file_name = imageUrl.substring(imageUrl.lastIndexOf("/") + 1);
   file_name = file_name.replace(/^(Anime_|A_|Z)/, "");
 
-  const titleText = `${searchVocab} #${
+  let titleText = `${searchVocab} #${
     state.currentExampleIndex + 1
   } \n${deck_name} \n${file_name}`;
+  if (state.knownWords.size > 0) {
+    const unknownWords = new Set(getUnknownWords(example, vocab));
+    titleText += ` \ni+${unknownWords.size}${
+      unknownWords.size > 0 ? ` (${[...unknownWords].join(", ")})` : ""
+    }`;
+  }
 
-  return addElement(wrapperDiv, "img", {
-    src: imageUrl,
+  // With offline packs, wait to see if there's a local copy before loading the remote one
+  const waitForLocalCopy = state.offlinePacks.length > 0;
+  const imageElement = addElement(wrapperDiv, "img", {
+    src: waitForLocalCopy ? "" : imageUrl,
     alt: "Embedded Image",
     title: titleText,
     style: `max-width: ${CONFIG.IMAGE_WIDTH}; margin-top: 10px; cursor: pointer;`,
   });
+
+  if (waitForLocalCopy) {
+    getLocalMediaUrl(imageUrl).then((localUrl) => {
+      if (localUrl) {
+        imageElement.src = localUrl;
+      } else if (!isOfflineUrl(imageUrl)) {
+        imageElement.src = imageUrl;
+      }
+    });
+  }
+  return imageElement;
 }
 // #endregion
 
@@ -1298,10 +5498,16 @@ async function renderImageAndPlayAudio(vocab, shouldAutoPlaySound) {
   const sentence = example.sentence || null;
   const translation = example.translation || null;
   const deck_name = example.deck_name || null;
-  const storedValue = await chromeStorage.get(state.vocab);
 
   removeExistingContainer();
-  if (!shouldRenderContainer()) return;
+  // A timed reveal belongs to the example that was shown
+  clearTimeout(state.revealTimer);
+  if (!shouldRenderContainer()) {
+    // Pages without an embed (like the review question side) can still
+    // autoplay the sentence
+    if (shouldAutoPlaySound) autoPlayExample(soundUrl);
+    return;
+  }
 
   const wrapperDiv = createWrapperDiv();
   const textDiv = await createButtonContainer(
@@ -1320,26 +5526,32 @@ async function renderImageAndPlayAudio(vocab, shouldAutoPlaySound) {
   };
 
   if (state.apiDataFetched) {
-    if (imageUrl) {
-      const imageElement = createImageElement(
-        wrapperDiv,
-        imageUrl,
-        vocab,
-        state.exactSearch
-      );
-      if (imageElement) {
-        imageElement.addEventListener("click", () => playAudio(soundUrl));
-      }
+    if (state.examples.length === 0 && state.filteredOutCount > 0) {
+      wrapperDiv.appendChild(createTextElement("ALL EXAMPLES FILTERED OUT"));
     } else {
-      wrapperDiv.appendChild(createTextElement(`NO IMAGE\n(${deck_name})`));
+      if (imageUrl) {
+        const imageElement = createImageElement(
+          wrapperDiv,
+          imageUrl,
+          vocab,
+          state.exactSearch
+        );
+        if (imageElement) {
+          imageElement.addEventListener("click", () => playAudio(soundUrl));
+        }
+      } else {
+        wrapperDiv.appendChild(createTextElement(`NO IMAGE\n(${deck_name})`));
+      }
+      sentence
+        ? appendSentenceAndTranslation(wrapperDiv, sentence, translation)
+        : appendNoneText(wrapperDiv);
     }
-    sentence
-      ? appendSentenceAndTranslation(wrapperDiv, sentence, translation)
-      : appendNoneText(wrapperDiv);
+    appendFilteredCount(wrapperDiv);
+    appendPrefetchStatus(wrapperDiv);
   } else if (state.error) {
     wrapperDiv.appendChild(
       createTextElement(
-        "ERROR\nNO EXAMPLES FOUND\n\nRARE WORD OR\nIMMERSIONKIT API IS TEMPORARILY DOWN"
+        `ERROR\nNO EXAMPLES FOUND\n\nRARE WORD OR\n${getExampleProvider().name.toUpperCase()} API IS TEMPORARILY DOWN`
       )
     );
   } else {
@@ -1357,8 +5569,8 @@ async function renderImageAndPlayAudio(vocab, shouldAutoPlaySound) {
   );
   appendContainer(containerDiv);
 
-  if (CONFIG.AUTO_PLAY_SOUND && shouldAutoPlaySound) {
-    playAudio(soundUrl);
+  if (shouldAutoPlaySound) {
+    autoPlayExample(soundUrl);
   }
 }
 
@@ -1376,8 +5588,9 @@ function preloadImages() {
   );
 
   for (let i = startIndex; i <= endIndex; i++) {
-    if (!state.preloadedIndices.has(i) && state.examples[i].image_url) {
-      addElement(preloadDiv, "img", { src: state.examples[i].image_url });
+    const imageUrl = state.examples[i].image_url;
+    if (!state.preloadedIndices.has(i) && imageUrl && !isOfflineUrl(imageUrl)) {
+      addElement(preloadDiv, "img", { src: imageUrl });
       state.preloadedIndices.add(i);
     }
   }
@@ -1389,7 +5602,9 @@ function highlightVocab(sentence, vocab) {
   const regex = new RegExp(`(${vocab})`, "g");
   return sentence.replace(
     regex,
-    '<span style="color: var(--outline-input-color);">$1</span>'
+    `<span style="color: ${
+      CONFIG.SENTENCE_HIGHLIGHT_COLOR || "var(--outline-input-color)"
+    };">$1</span>`
   );
 }
 
@@ -1403,6 +5618,14 @@ function appendSentenceAndTranslation(wrapperDiv, sentence, translation) {
   sentenceText.style.whiteSpace = "pre-wrap";
   wrapperDiv.appendChild(sentenceText);
 
+  // Elements that can be clicked to reveal the hidden text
+  const revealTargets = [];
+  const isRevealed = state.revealedExample === getRevealKey();
+  const isQuestion = getPageType(window.location.href) === "reviewQuestion";
+  if (!isRevealed && isQuestion) {
+    revealTargets.push(concealText(sentenceText, "blurred"));
+  }
+
   if (CONFIG.ENABLE_EXAMPLE_TRANSLATION && translation) {
     const translationText = document.createElement("div");
     translationText.innerHTML = replaceSpecialCharacters(translation);
@@ -1412,9 +5635,121 @@ function appendSentenceAndTranslation(wrapperDiv, sentence, translation) {
     translationText.style.maxWidth = CONFIG.IMAGE_WIDTH;
     translationText.style.whiteSpace = "pre-wrap";
     wrapperDiv.appendChild(translationText);
+
+    // The question side never shows the translation outright
+    const revealMode =
+      isQuestion && CONFIG.TRANSLATION_REVEAL === "shown"
+        ? "blurred"
+        : CONFIG.TRANSLATION_REVEAL;
+    if (!isRevealed && revealMode !== "shown") {
+      revealTargets.push(concealText(translationText, revealMode));
+    }
+  }
+
+  if (revealTargets.length === 0) return;
+
+  // The reveal shortcut clicks this one
+  revealTargets[0].id = "immersion-kit-reveal";
+  if (CONFIG.REVEAL_AFTER_SECONDS > 0) {
+    const revealKey = getRevealKey();
+    state.revealTimer = setTimeout(() => {
+      if (getRevealKey() === revealKey) revealExampleText();
+    }, CONFIG.REVEAL_AFTER_SECONDS * 1000);
+  }
+}
+
+/*
+The translation can be blurred or put behind a button (TRANSLATION_REVEAL)
+for active recall. The examples only show up on the review question side with
+BLUR_QUESTION_SENTENCE, and then the sentence and translation start blurred.
+Clicking any of them, the reveal shortcut, REVEAL_AFTER_SECONDS or
+REVEAL_AFTER_AUDIO reveals them all. They stay revealed for that example until
+another one is shown.
+*/
+function getRevealKey() {
+  const example = state.examples[state.currentExampleIndex];
+  return example ? `${state.vocab}|${getExampleId(example)}` : null;
+}
+
+// Blurs an element or hides it behind a placeholder. Returns the element
+// to click to reveal it.
+function concealText(element, mode) {
+  element.setAttribute("data-concealed", "");
+  element.style.cursor = "pointer";
+
+  if (mode === "blurred") {
+    element.style.filter = "blur(5px)";
+    element.title = "Click to reveal";
+    element.addEventListener("click", revealExampleText, { once: true });
+    return element;
+  }
+
+  const placeholder = document.createElement("div");
+  placeholder.setAttribute("data-reveal-placeholder", "");
+  placeholder.textContent = "Click to show the translation";
+  placeholder.style.marginTop = element.style.marginTop;
+  placeholder.style.fontSize = element.style.fontSize;
+  placeholder.style.color = "var(--subsection-label-color)";
+  placeholder.style.cursor = "pointer";
+  placeholder.style.fontStyle = "italic";
+  placeholder.addEventListener("click", revealExampleText);
+  element.style.display = "none";
+  element.after(placeholder);
+  return placeholder;
+}
+
+function revealExampleText() {
+  clearTimeout(state.revealTimer);
+  state.revealedExample = getRevealKey();
+
+  for (const element of document.querySelectorAll("[data-concealed]")) {
+    element.removeAttribute("data-concealed");
+    element.style.filter = "";
+    element.style.display = "";
+    element.style.cursor = "";
+    element.title = "";
+    element.removeAttribute("id");
+  }
+  for (const placeholder of document.querySelectorAll(
+    "[data-reveal-placeholder]"
+  )) {
+    placeholder.remove();
   }
 }
 
+// Called whenever a clip has played through. Only reveals if it's the audio of
+// the example that's shown.
+function onExampleAudioPlayed(soundUrl) {
+  const example = state.examples[state.currentExampleIndex];
+  if (CONFIG.REVEAL_AFTER_AUDIO && soundUrl === example?.sound_url) {
+    revealExampleText();
+  }
+}
+
+function appendFilteredCount(wrapperDiv) {
+  if (state.filteredOutCount === 0) return;
+
+  const countText = document.createElement("div");
+  countText.textContent = `${state.filteredOutCount} example${
+    state.filteredOutCount === 1 ? "" : "s"
+  } filtered out`;
+  countText.style.marginTop = "5px";
+  countText.style.fontSize = "75%";
+  countText.style.color = "var(--subsection-label-color)";
+  wrapperDiv.appendChild(countText);
+}
+
+function appendPrefetchStatus(wrapperDiv) {
+  if (!CONFIG.PREFETCH_UPCOMING || !isReviewPage(window.location.href)) return;
+
+  const statusText = document.createElement("div");
+  statusText.id = "prefetch-status";
+  statusText.textContent = getPrefetchStatusText();
+  statusText.style.fontSize = "75%";
+  statusText.style.color = "var(--subsection-label-color)";
+  wrapperDiv.appendChild(statusText);
+}
+
 function appendNoneText(wrapperDiv) {
   const noneText = document.createElement("div");
   noneText.textContent = "None";
@@ -1446,6 +5781,7 @@ function createNavigationDiv() {
 
 function createLeftArrow(vocab, shouldAutoPlaySound) {
   const leftArrow = document.createElement("button");
+  leftArrow.id = "immersion-kit-previous";
   leftArrow.textContent = "🡨"; // Changed from "<" to "🡨"
   leftArrow.style.marginRight = "10px";
   leftArrow.style.width = CONFIG.ARROW_WIDTH;
@@ -1473,6 +5809,7 @@ function createLeftArrow(vocab, shouldAutoPlaySound) {
 
 function createRightArrow(vocab, shouldAutoPlaySound) {
   const rightArrow = document.createElement("button");
+  rightArrow.id = "immersion-kit-next";
   rightArrow.textContent = "🡪"; // Changed from ">" to "🡪"
   rightArrow.style.marginLeft = "10px";
   rightArrow.style.width = CONFIG.ARROW_WIDTH;
@@ -1529,8 +5866,12 @@ async function createButtonContainer(soundUrl, vocab, exact) {
   const menuButton = createMenuButton();
   const textButton = createTextButton(vocab, exact);
   const speakerButton = await createSpeakerButton(soundUrl);
+  const loopButton = createLoopButton(soundUrl);
   const starButton = await createStarButton();
+  const hideButton = createHideButton();
+  const ankiButton = createAnkiButton();
   const quoteButton = createQuoteButton();
+  const favoritesButton = createFavoritesButton();
 
   const centeredButtonsWrapper = document.createElement("div");
   centeredButtonsWrapper.style.display = "flex";
@@ -1540,8 +5881,12 @@ async function createButtonContainer(soundUrl, vocab, exact) {
   centeredButtonsWrapper.append(
     textButton,
     speakerButton,
+    loopButton,
     starButton,
-    quoteButton
+    ankiButton,
+    hideButton,
+    quoteButton,
+    favoritesButton
   );
   buttonContainer.append(centeredButtonsWrapper, menuButton);
 
@@ -1549,16 +5894,21 @@ async function createButtonContainer(soundUrl, vocab, exact) {
 }
 
 function createTextButton(vocab, exact) {
+  const provider = getExampleProvider();
   const textButton = document.createElement("a");
-  textButton.textContent = "Immersion Kit";
+  textButton.textContent = provider.name;
   textButton.style.color = "var(--subsection-label-color)";
   textButton.style.fontSize = "85%";
   textButton.style.marginRight = "0.5rem";
   textButton.style.verticalAlign = "middle";
-  textButton.href = `https://www.immersionkit.com/dictionary?keyword=${encodeURIComponent(
-    vocab
-  )}${exact ? "&exact=true" : ""}`;
-  textButton.target = "_blank";
+  if (provider.getPageUrl) {
+    textButton.href = provider.getPageUrl(
+      vocab,
+      exact,
+      getProviderBaseUrl(provider)
+    );
+    textButton.target = "_blank";
+  }
   return textButton;
 }
 
@@ -1648,7 +5998,14 @@ function appendNormalMode(
   hboxWrapSection,
   subsectionLabels
 ) {
-  if (state.embedAboveSubsectionMeanings && subsectionMeanings) {
+  // The review question side only has the word, so the embed goes right
+  // below it, and only when BLUR_QUESTION_SENTENCE asks for it there
+  if (getPageType(window.location.href) === "reviewQuestion") {
+    const answerBox = document.querySelector(".answer-box");
+    if (CONFIG.BLUR_QUESTION_SENTENCE && answerBox) {
+      answerBox.after(containerDiv);
+    }
+  } else if (state.embedAboveSubsectionMeanings && subsectionMeanings) {
     subsectionMeanings.parentNode.insertBefore(
       containerDiv,
       subsectionMeanings
@@ -1669,10 +6026,796 @@ function appendNormalMode(
 }
 // #endregion
 
+// #region Keyboard Shortcuts
+/*
+Each action clicks the matching embed button, so it behaves exactly like the
+mouse (arrows respect their disabled state, autoplay follows the page, and
+so on). Bindings are stored under "KEYBINDINGS" as { action: combo }, where a
+combo looks like "Shift+R" or "ArrowLeft". An empty combo disables the action.
+*/
+const KEYBINDINGS_KEY = "KEYBINDINGS";
+
+const KEYBINDING_ACTIONS = {
+  previous: { name: "Previous example", target: "immersion-kit-previous" },
+  next: { name: "Next example", target: "immersion-kit-next" },
+  replay: { name: "Replay audio", target: "immersion-kit-speaker" },
+  favorite: { name: "Toggle favorite", target: "immersion-kit-star" },
+  exactSearch: { name: "Toggle exact search", target: "immersion-kit-quote" },
+  hide: { name: "Hide example", target: "immersion-kit-hide" },
+  reveal: { name: "Reveal hidden text", target: "immersion-kit-reveal" },
+  settings: { name: "Open settings", target: "immersion-kit-menu" },
+};
+
+const DEFAULT_KEYBINDINGS = {
+  previous: "ArrowLeft",
+  next: "ArrowRight",
+  replay: "R",
+  favorite: "S",
+  exactSearch: "E",
+  hide: "X",
+  reveal: "T",
+  settings: "O",
+};
+
+// Keys jpdb uses on review pages: revealing the answer, grading (1-5 and
+// pass/fail) and undo. They can't be bound.
+const JPDB_RESERVED_KEYS = new Set([
+  "Space",
+  "Enter",
+  "Backspace",
+  "Escape",
+  "1",
+  "2",
+  "3",
+  "4",
+  "5",
+  "F",
+  "P",
+]);
+
+function getKeyCombo(event) {
+  if (["Control", "Alt", "Shift", "Meta"].includes(event.key)) return null;
+
+  const key =
+    event.key === " "
+      ? "Space"
+      : event.key.length === 1
+      ? event.key.toUpperCase()
+      : event.key;
+  // Shift is part of a symbol already ("!" rather than Shift+1), but letters
+  // are uppercased, so it's only spelled out for letters and named keys
+  const modifiers = [
+    event.ctrlKey && "Ctrl",
+    event.altKey && "Alt",
+    event.shiftKey &&
+      (event.key.length > 1 || /^[a-z]$/i.test(event.key)) &&
+      "Shift",
+    event.metaKey && "Meta",
+  ].filter(Boolean);
+  return [...modifiers, key].join("+");
+}
+
+// Returns why a combo can't be bound to an action, or null if it can
+function getKeybindingConflict(action, combo) {
+  if (!combo) return null;
+  if (JPDB_RESERVED_KEYS.has(combo)) {
+    return `${combo} is one of jpdb's review shortcuts`;
+  }
+  const [otherAction] =
+    Object.entries(state.keybindings).find(
+      ([key, value]) => key !== action && value === combo
+    ) || [];
+  return otherAction
+    ? `${combo} is already used for ${KEYBINDING_ACTIONS[otherAction].name}`
+    : null;
+}
+
+async function loadKeybindings() {
+  const stored = (await chromeStorage.get(KEYBINDINGS_KEY)) || {};
+  state.keybindings = { ...DEFAULT_KEYBINDINGS };
+  for (const action of Object.keys(KEYBINDING_ACTIONS)) {
+    if (typeof stored[action] === "string") {
+      state.keybindings[action] = stored[action];
+    }
+  }
+}
+
+async function storeKeybindings(keybindings) {
+  state.keybindings = keybindings;
+  await chromeStorage.set(KEYBINDINGS_KEY, keybindings);
+}
+
+function isTypingTarget(element) {
+  return (
+    element instanceof HTMLInputElement ||
+    element instanceof HTMLTextAreaElement ||
+    element instanceof HTMLSelectElement ||
+    element?.isContentEditable
+  );
+}
+
+function handleKeybinding(event) {
+  if (event.repeat || isTypingTarget(event.target)) return;
+  // Not while a menu or popup covers the page
+  if (document.querySelector("[data-immersion-kit-modal]")) return;
+
+  const combo = getKeyCombo(event);
+  if (!combo) return;
+
+  const action = Object.keys(state.keybindings).find(
+    (key) => state.keybindings[key] === combo
+  );
+  if (!action) return;
+
+  const target = document.getElementById(KEYBINDING_ACTIONS[action].target);
+  if (!target) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  target.click();
+}
+
+function createAnkiSection() {
+  const section = createMenuSection("Anki Export");
+
+  const description = document.createElement("div");
+  description.style.margin = "10px 0";
+  description.style.color = "var(--subsection-label-color)";
+  description.textContent = `Exports to AnkiConnect (or anything with the same API). If it rejects requests, add ${chrome.runtime
+    .getURL("")
+    .slice(0, -1)} to its webCorsOriginList. Leave a field empty to skip it.`;
+
+  const container = document.createElement("div");
+  container.style.display = "grid";
+  container.style.gridTemplateColumns = "auto 1fr";
+  container.style.gap = "5px 10px";
+  container.style.alignItems = "center";
+
+  const status = document.createElement("div");
+  status.style.margin = "10px 0";
+
+  const inputs = {};
+  const fieldInputs = {};
+  const addRow = (text, input) => {
+    const label = document.createElement("label");
+    label.textContent = text;
+    label.style.textAlign = "left";
+    container.append(label, input);
+  };
+  const createTextInput = (placeholder) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = placeholder;
+    input.addEventListener("change", saveSettings);
+    return input;
+  };
+
+  inputs.url = createTextInput(DEFAULT_ANKI_SETTINGS.url);
+  inputs.deckName = createTextInput(DEFAULT_ANKI_SETTINGS.deckName);
+  inputs.modelName = createTextInput(DEFAULT_ANKI_SETTINGS.modelName);
+  inputs.tags = createTextInput("Space separated");
+  inputs.updateExisting = document.createElement("input");
+  inputs.updateExisting.type = "checkbox";
+  inputs.updateExisting.style.justifySelf = "start";
+  inputs.updateExisting.addEventListener("change", saveSettings);
+
+  addRow("Endpoint URL", inputs.url);
+  addRow("Deck", inputs.deckName);
+  addRow("Note type", inputs.modelName);
+  addRow("Tags", inputs.tags);
+  addRow("Update existing notes", inputs.updateExisting);
+  for (const [key, name] of Object.entries(ANKI_FIELD_NAMES)) {
+    fieldInputs[key] = createTextInput("Not exported");
+    addRow(`${name} field`, fieldInputs[key]);
+  }
+
+  async function saveSettings() {
+    const fields = {};
+    for (const [key, input] of Object.entries(fieldInputs)) {
+      fields[key] = input.value;
+    }
+    const url = inputs.url.value.trim();
+    if (url && !getAnkiUrl(url)) {
+      status.textContent = `"${url}" isn't an http(s) URL, the default is used instead.`;
+    }
+    const previousUrl = (await getAnkiSettings()).url;
+    await storeAnkiSettings({
+      url: inputs.url.value,
+      deckName: inputs.deckName.value,
+      modelName: inputs.modelName.value,
+      tags: inputs.tags.value,
+      updateExisting: inputs.updateExisting.checked,
+      fields,
+    });
+
+    const { url: newUrl } = await getAnkiSettings();
+    if (newUrl !== previousUrl && !(await requestAnkiPermission(newUrl))) {
+      status.textContent = `Allow access to ${newUrl} on the options page that just opened.`;
+    }
+  }
+
+  getAnkiSettings().then((settings) => {
+    inputs.url.value = settings.url;
+    inputs.deckName.value = settings.deckName;
+    inputs.modelName.value = settings.modelName;
+    inputs.tags.value = settings.tags;
+    inputs.updateExisting.checked = settings.updateExisting;
+    for (const [key, input] of Object.entries(fieldInputs)) {
+      input.value = settings.fields[key];
+    }
+  });
+
+  const buttons = document.createElement("div");
+  buttons.style.display = "grid";
+  buttons.style.gridTemplateColumns = "1fr 1fr";
+  buttons.style.gap = "10px";
+  buttons.style.marginTop = "10px";
+  buttons.append(
+    createActionButton("Test Connection", async () => {
+      await saveSettings();
+      try {
+        const version = await ankiRequest(await getAnkiSettings(), "version");
+        status.textContent = `Connected (API version ${version}).`;
+      } catch (error) {
+        status.textContent = `Couldn't connect: ${error.message || error}`;
+      }
+    }),
+    createActionButton("Export All Favorites", async () => {
+      await saveSettings();
+      status.textContent = "Exporting favorites…";
+      const { added, updated, duplicates, failures } =
+        await exportAllFavoritesToAnki(
+          (done, total) =>
+            (status.textContent = `Exporting favorites… ${done}/${total}`)
+        );
+      status.textContent = `Added ${added}, updated ${updated}, ${duplicates} already in Anki${
+        failures.length > 0
+          ? `, ${failures.length} failed (${failures[0].vocab}: ${failures[0].error})`
+          : ""
+      }.`;
+    })
+  );
+
+  section.append(description, container, buttons, status);
+  return section;
+}
+
+function createBackupSection() {
+  const section = createMenuSection("Backup");
+
+  const status = document.createElement("div");
+  status.style.margin = "10px 0";
+  status.style.color = "var(--subsection-label-color)";
+  status.textContent =
+    "Export favorites, hidden examples, settings and other stored data to a JSON file, or import one.";
+
+  const preview = document.createElement("div");
+  preview.style.display = "none";
+  preview.style.marginTop = "10px";
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json";
+  fileInput.style.display = "none";
+  fileInput.addEventListener("change", async () => {
+    if (fileInput.files.length === 0) return;
+    const file = fileInput.files[0];
+    fileInput.value = "";
+
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      status.textContent = "That file isn't valid JSON.";
+      return;
+    }
+    const validationError = validateBackup(backup);
+    if (validationError) {
+      status.textContent = validationError;
+      return;
+    }
+    showPreview(backup);
+  });
+
+  async function showPreview(backup) {
+    const { conflicts, current } = await getBackupConflicts(backup);
+    const keys = Object.keys(backup.data);
+    const newKeys = keys.filter((key) => !(key in current));
+
+    preview.innerHTML = "";
+    preview.style.display = "block";
+    status.textContent = `Backup from ${new Date(
+      backup.exportedAt
+    ).toLocaleString()}: ${keys.length} items, ${newKeys.length} new, ${
+      conflicts.length
+    } conflicting.`;
+
+    if (conflicts.length > 0) {
+      const list = document.createElement("div");
+      list.style.maxHeight = "150px";
+      list.style.overflowY = "auto";
+      list.style.whiteSpace = "pre-wrap";
+      list.style.textAlign = "left";
+      list.textContent = conflicts
+        .map(({ key, resolution }) => `${key}: ${resolution} when merging`)
+        .join("\n");
+      preview.appendChild(list);
+    }
+
+    const modeSelect = document.createElement("select");
+    modeSelect.style.width = "100%";
+    modeSelect.style.marginTop = "10px";
+    for (const [value, text] of [
+      ["merge", "Merge into the current data"],
+      ["replace", "Replace all current data"],
+    ]) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      modeSelect.appendChild(option);
+    }
+
+    const buttons = document.createElement("div");
+    buttons.style.display = "grid";
+    buttons.style.gridTemplateColumns = "1fr 1fr";
+    buttons.style.gap = "10px";
+    buttons.style.marginTop = "10px";
+    buttons.append(
+      createActionButton("Import", () => {
+        const apply = async () => {
+          try {
+            await importBackup(backup, modeSelect.value);
+            location.reload();
+          } catch (error) {
+            console.error("Error importing backup:", error);
+            status.textContent = `The import failed: ${error.message}`;
+          }
+        };
+        if (modeSelect.value === "replace") {
+          createConfirmationPopup(
+            "This will delete all current data and replace it with the backup. Are you sure?",
+            apply,
+            () => {}
+          );
+        } else {
+          apply();
+        }
+      }),
+      createActionButton("Cancel", () => {
+        preview.style.display = "none";
+      })
+    );
+
+    preview.append(modeSelect, buttons);
+  }
+
+  const buttons = document.createElement("div");
+  buttons.style.display = "grid";
+  buttons.style.gridTemplateColumns = "1fr 1fr";
+  buttons.style.gap = "10px";
+  buttons.append(
+    createActionButton("Export Backup", async () => {
+      const backup = await createBackup();
+      const url = URL.createObjectURL(
+        new Blob([JSON.stringify(backup, null, 2)], {
+          type: "application/json",
+        })
+      );
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `immersion-kit-backup-${backup.exportedAt.slice(
+        0,
+        10
+      )}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }),
+    createActionButton("Import Backup", () => fileInput.click())
+  );
+
+  section.append(status, buttons, fileInput, preview);
+  return section;
+}
+
+function createSyncSection() {
+  const section = createMenuSection("Sync");
+
+  const label = document.createElement("label");
+  label.style.display = "flex";
+  label.style.gap = "10px";
+  label.style.alignItems = "center";
+  label.style.marginTop = "10px";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = state.sync.enabled;
+  checkbox.addEventListener("change", () => setSyncEnabled(checkbox.checked));
+  label.append(
+    checkbox,
+    "Sync favorites, hidden examples and settings with your browser account"
+  );
+
+  const status = document.createElement("div");
+  status.id = "sync-status";
+  status.style.margin = "10px 0";
+  status.style.color = "var(--subsection-label-color)";
+  status.textContent = describeSyncStatus();
+
+  const syncButton = createActionButton("Sync Now", () => pullSync());
+
+  section.append(label, status, syncButton);
+  return section;
+}
+
+function createKeybindingsSection() {
+  const section = createMenuSection("Keyboard Shortcuts");
+
+  const status = document.createElement("div");
+  status.style.margin = "10px 0";
+  status.style.color = "var(--subsection-label-color)";
+  const defaultStatus =
+    "Click a shortcut and press the new key. Delete clears it, Escape cancels. Shortcuts are ignored while typing.";
+  status.textContent = defaultStatus;
+
+  const list = document.createElement("div");
+  list.style.display = "grid";
+  list.style.gridTemplateColumns = "1fr 140px";
+  list.style.gap = "5px 10px";
+  list.style.alignItems = "center";
+
+  let stopRecording = null;
+
+  const recordKey = (action, button) => {
+    if (stopRecording) stopRecording();
+    button.textContent = "Press a key…";
+
+    // Capture phase on window runs before jpdb's and our own key handlers
+    const onKeyDown = async (event) => {
+      // The overlay was closed while recording
+      if (!button.isConnected) {
+        stopRecording();
+        return;
+      }
+      event.preventDefault();
+      event.stopImmediatePropagation();
+
+      let combo;
+      if (event.key === "Escape") {
+        combo = state.keybindings[action];
+      } else if (event.key === "Delete") {
+        combo = "";
+      } else {
+        combo = getKeyCombo(event);
+        if (!combo) return;
+      }
+
+      const conflict = getKeybindingConflict(action, combo);
+      if (conflict) {
+        status.textContent = conflict;
+        return;
+      }
+
+      stopRecording();
+      status.textContent = defaultStatus;
+      await storeKeybindings({ ...state.keybindings, [action]: combo });
+      renderBindings();
+    };
+
+    window.addEventListener("keydown", onKeyDown, true);
+    stopRecording = () => {
+      window.removeEventListener("keydown", onKeyDown, true);
+      stopRecording = null;
+    };
+  };
+
+  function renderBindings() {
+    list.innerHTML = "";
+    for (const [action, { name }] of Object.entries(KEYBINDING_ACTIONS)) {
+      const label = document.createElement("span");
+      label.textContent = name;
+      label.style.textAlign = "left";
+
+      const button = document.createElement("button");
+      button.textContent = state.keybindings[action] || "None";
+      button.style.borderRadius = "4px";
+      button.addEventListener("click", () => recordKey(action, button));
+
+      list.append(label, button);
+    }
+  }
+  renderBindings();
+
+  const resetButton = createActionButton("Reset Shortcuts", async () => {
+    if (stopRecording) stopRecording();
+    await storeKeybindings({ ...DEFAULT_KEYBINDINGS });
+    status.textContent = defaultStatus;
+    renderBindings();
+  });
+  resetButton.style.marginTop = "10px";
+
+  section.addEventListener("toggle", () => {
+    if (!section.open && stopRecording) {
+      stopRecording();
+      renderBindings();
+    }
+  });
+
+  section.append(status, list, resetButton);
+  return section;
+}
+// #endregion
+
+// #region Settings Profiles
+/*
+Profiles are named sets of settings that override the stored ones, e.g. a
+smaller image and no translation during reviews. One can be picked by hand,
+otherwise the profile bound to the current page type (see getPageType) is used.
+Stored under "PROFILES" as
+  { profiles: [{ id, name, overrides: { KEY: value } }], selected: id | null,
+    bindings: { reviewQuestion: id, vocabulary: id, ... } }
+Settings that need a reload can't be overridden, since profiles switch while
+moving between pages. PROFILE_PAGE_TYPES and normalizeProfiles are in
+settings.js, so the options page and the popup can show the overrides too.
+*/
+const PROFILES_KEY = "PROFILES";
+
+async function loadProfiles() {
+  state.profiles = normalizeProfiles(await chromeStorage.get(PROFILES_KEY));
+}
+
+// Saves the profiles and switches CONFIG to the one that's active now. The
+// page is re-rendered by onSettingsChanged once the write lands.
+async function storeProfiles(profiles) {
+  state.profiles = normalizeProfiles(profiles);
+  applyActiveProfile();
+  await chromeStorage.set(PROFILES_KEY, state.profiles);
+}
+
+function getActiveProfile(url = window.location.href) {
+  const id =
+    state.profiles.selected ?? state.profiles.bindings[getPageType(url)];
+  return state.profiles.profiles.find((profile) => profile.id === id) || null;
+}
+
+// Sets CONFIG to the stored settings plus the active profile. Returns true if
+// anything changed.
+function applyActiveProfile() {
+  const profile = getActiveProfile();
+  const previous = { ...CONFIG };
+  state.activeProfile = profile?.id ?? null;
+  Object.assign(CONFIG, state.baseConfig, profile?.overrides);
+  return Object.keys(CONFIG).some((key) => CONFIG[key] !== previous[key]);
+}
+
+function createProfilesSection() {
+  const section = createMenuSection("Profiles");
+
+  const description = document.createElement("div");
+  description.style.margin = "10px 0";
+  description.style.color = "var(--subsection-label-color)";
+  description.textContent =
+    "A profile overrides some of the settings above. Pick one, or bind profiles to page types so they switch by themselves.";
+
+  const content = document.createElement("div");
+  section.append(description, content);
+
+  const createProfileSelect = (value, emptyText, onChange) => {
+    const select = document.createElement("select");
+    for (const { id, name } of [
+      { id: "", name: emptyText },
+      ...state.profiles.profiles,
+    ]) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+    select.value = value || "";
+    select.addEventListener("change", async () => {
+      await onChange(select.value || null);
+      render();
+    });
+    return select;
+  };
+
+  const updateProfile = (id, update) =>
+    storeProfiles({
+      ...state.profiles,
+      profiles: state.profiles.profiles.map((profile) =>
+        profile.id === id ? update(profile) : profile
+      ),
+    });
+
+  const createProfileEditor = (profile) => {
+    const editor = document.createElement("div");
+    editor.style.marginTop = "15px";
+    editor.style.textAlign = "left";
+
+    const header = document.createElement("div");
+    header.style.display = "flex";
+    header.style.justifyContent = "space-between";
+    header.style.alignItems = "center";
+    const name = document.createElement("span");
+    name.style.fontWeight = "bold";
+    name.textContent =
+      profile.id === state.activeProfile
+        ? `${profile.name} (active)`
+        : profile.name;
+    const removeButton = createButton("Remove", () => {
+      createConfirmationPopup(
+        `Remove the "${profile.name}" profile?`,
+        async () => {
+          await storeProfiles({
+            ...state.profiles,
+            profiles: state.profiles.profiles.filter(
+              ({ id }) => id !== profile.id
+            ),
+          });
+          render();
+        },
+        () => {}
+      );
+    });
+    header.append(name, removeButton);
+    editor.appendChild(header);
+
+    for (const [key, value] of Object.entries(profile.overrides)) {
+      const row = document.createElement("div");
+      row.style.display = "flex";
+      row.style.justifyContent = "space-between";
+      row.style.alignItems = "center";
+      row.style.gap = "5px";
+
+      const label = document.createElement("span");
+      label.textContent = `${getSettingLabel(key)}: ${formatSettingValue(
+        key,
+        value
+      )}`;
+      const clearButton = createButton("✕", async () => {
+        await updateProfile(profile.id, ({ overrides, ...rest }) => {
+          const { [key]: removed, ...kept } = overrides;
+          return { ...rest, overrides: kept };
+        });
+        render();
+      });
+      clearButton.title = "Use the stored setting";
+      row.append(label, clearButton);
+      editor.appendChild(row);
+    }
+
+    // New overrides start from the stored value of the setting
+    const addContainer = document.createElement("div");
+    addContainer.style.display = "grid";
+    addContainer.style.gridTemplateColumns = "1fr 25px 70px 25px";
+    addContainer.style.gap = "5px";
+    addContainer.style.alignItems = "center";
+    addContainer.style.marginTop = "5px";
+
+    const keySelect = document.createElement("select");
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+      if (!isProfileSetting(key) || key in profile.overrides) continue;
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = getSettingLabel(key);
+      keySelect.appendChild(option);
+    }
+    if (!keySelect.value) return editor;
+
+    let controls = [];
+    const renderControl = () => {
+      for (const control of controls) control.remove();
+      const key = keySelect.value;
+      controls = createSettingControl(
+        key,
+        SETTINGS_SCHEMA[key],
+        state.baseConfig[key]
+      );
+      addContainer.append(...controls);
+    };
+    keySelect.addEventListener("change", renderControl);
+    addContainer.appendChild(keySelect);
+    renderControl();
+
+    const addButton = createActionButton("Add Override", async () => {
+      const key = keySelect.value;
+      const input = addContainer.querySelector("[data-key]");
+      const { value, error } = parseSettingValue(
+        key,
+        readSettingControl(input)
+      );
+      if (error) {
+        errorText.textContent = error;
+        return;
+      }
+      await updateProfile(profile.id, (current) => ({
+        ...current,
+        overrides: { ...current.overrides, [key]: value },
+      }));
+      render();
+    });
+    addButton.style.marginTop = "5px";
+
+    const errorText = document.createElement("div");
+    errorText.style.color = "#C82800";
+
+    editor.append(addContainer, errorText, addButton);
+    return editor;
+  };
+
+  function render() {
+    content.innerHTML = "";
+
+    const container = document.createElement("div");
+    container.style.display = "grid";
+    container.style.gridTemplateColumns = "1fr 160px";
+    container.style.gap = "5px 10px";
+    container.style.alignItems = "center";
+
+    const addRow = (text, input) => {
+      const label = document.createElement("label");
+      label.textContent = text;
+      label.style.textAlign = "left";
+      container.append(label, input);
+    };
+
+    addRow(
+      "Profile",
+      createProfileSelect(state.profiles.selected, "By page type", (id) =>
+        storeProfiles({ ...state.profiles, selected: id })
+      )
+    );
+    for (const [pageType, name] of Object.entries(PROFILE_PAGE_TYPES)) {
+      addRow(
+        `${name} pages`,
+        createProfileSelect(state.profiles.bindings[pageType], "None", (id) =>
+          storeProfiles({
+            ...state.profiles,
+            bindings: { ...state.profiles.bindings, [pageType]: id },
+          })
+        )
+      );
+    }
+    content.appendChild(container);
+
+    for (const profile of state.profiles.profiles) {
+      content.appendChild(createProfileEditor(profile));
+    }
+
+    const newRow = document.createElement("div");
+    newRow.style.display = "flex";
+    newRow.style.gap = "5px";
+    newRow.style.marginTop = "15px";
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.placeholder = "New profile name";
+    nameInput.style.flex = "1";
+    const addButton = createButton("Add Profile", async () => {
+      const name = nameInput.value.trim();
+      if (!name) return;
+      await storeProfiles({
+        ...state.profiles,
+        profiles: [
+          ...state.profiles.profiles,
+          { id: `profile-${Date.now()}`, name, overrides: {} },
+        ],
+      });
+      render();
+    });
+    newRow.append(nameInput, addButton);
+    content.appendChild(newRow);
+  }
+  render();
+
+  return section;
+}
+// #endregion
+
 // #region Main Functions
 async function onPageLoad() {
   state.embedAboveSubsectionMeanings = false;
 
+  // Moving from the question to the answer can switch profiles
+  if (applyActiveProfile()) applyConfigToPage();
+
   const url = window.location.href;
   const isSearchPage = url.includes("/search?q=");
   const machineTranslationFrame = document.getElementById(
@@ -1690,6 +6833,7 @@ async function onPageLoad() {
   embedImageAndPlayAudio();
   setPageWidth();
 
+  const previousVocab = state.vocab;
   if (url.includes("/vocabulary/")) {
     state.vocab = parseVocabFromVocabulary();
   } else if (isSearchPage) {
@@ -1701,33 +6845,21 @@ async function onPageLoad() {
   } else {
     state.vocab = parseVocabFromReview();
   }
+  if (state.vocab !== previousVocab) releaseLocalMediaUrls();
 
-  const storedData = await getStoredData(state.vocab);
-
-  if (storedData) {
-    // Create a favorite example object with just the essential properties
-    const favoriteExample = {
-      image_url: storedData.image_url,
-      sound_url: storedData.sound_url,
-      sentence: storedData.sentence,
-    };
+  state.favorites = await getFavorites(state.vocab);
+  state.hidden = await getHidden(state.vocab);
 
+  if (state.favorites.length > 0) {
     try {
       await getImmersionKitData(state.vocab, state.exactSearch);
-      state.examples = [
-        favoriteExample,
-        ...state.examples.filter(
-          (ex) => ex.image_url !== favoriteExample.image_url
-        ),
-      ];
       state.currentExampleIndex = 0;
       preloadImages();
-      if (!/https:\/\/jpdb\.io\/review(#a)?$/.test(url)) {
-        embedImageAndPlayAudio();
-      }
+      showFetchedExamples(url);
     } catch (error) {
       console.error(error);
-      state.examples = [favoriteExample];
+      state.fetchedExamples = [];
+      refreshExamples();
       state.currentExampleIndex = 0;
       state.apiDataFetched = true;
       embedImageAndPlayAudio();
@@ -1738,25 +6870,36 @@ async function onPageLoad() {
       try {
         await getImmersionKitData(state.vocab, state.exactSearch);
         preloadImages();
-        if (!/https:\/\/jpdb\.io\/review(#a)?$/.test(url)) {
-          embedImageAndPlayAudio();
-        }
+        showFetchedExamples(url);
       } catch (error) {
         console.error(error);
       }
     }
   }
+
+  // Warm the cache for the next cards once this one is loaded
+  if (CONFIG.PREFETCH_UPCOMING && state.vocab && isReviewPage(url)) {
+    await recordReviewWord(state.vocab);
+    startPrefetch();
+  }
+}
+
+// The review question side isn't re-rendered once examples arrive, so it
+// doesn't give the answer away, but it can still autoplay the sentence.
+// With BLUR_QUESTION_SENTENCE it's rendered, with the text blurred.
+function showFetchedExamples(url) {
+  if (getPageType(url) !== "reviewQuestion" || CONFIG.BLUR_QUESTION_SENTENCE) {
+    embedImageAndPlayAudio();
+  } else if (shouldAutoPlay(url)) {
+    autoPlayExample(state.examples[state.currentExampleIndex]?.sound_url);
+  }
 }
 
 function embedImageAndPlayAudio() {
   const existingNavigationDiv = document.getElementById("immersion-kit-embed");
   if (existingNavigationDiv) existingNavigationDiv.remove();
 
-  const reviewUrlPattern = /https:\/\/jpdb\.io\/review(#a)?$/;
-  renderImageAndPlayAudio(
-    state.vocab,
-    !reviewUrlPattern.test(window.location.href)
-  );
+  renderImageAndPlayAudio(state.vocab, shouldAutoPlay(window.location.href));
   preloadImages();
 }
 
@@ -1765,7 +6908,9 @@ function setPageWidth() {
 }
 
 function setVocabSize() {
+  document.getElementById("immersion-kit-vocab-size")?.remove();
   const style = document.createElement("style");
+  style.id = "immersion-kit-vocab-size";
   style.type = "text/css";
   style.innerHTML = `
         .answer-box > .plain {
@@ -1777,29 +6922,10 @@ function setVocabSize() {
 }
 
 async function loadConfig() {
-  const configs = await chromeStorage.getAll();
-  for (const key in configs) {
-    if (!key.startsWith("CONFIG.")) continue;
-
-    const configKey = key.substring("CONFIG.".length);
-    if (!CONFIG.hasOwnProperty(configKey)) continue;
-
-    const savedValue = configs[key];
-    if (savedValue === null || savedValue === undefined) continue;
-
-    // Handle different types appropriately
-    switch (typeof CONFIG[configKey]) {
-      case "boolean":
-        CONFIG[configKey] = savedValue === true || savedValue === "true";
-        break;
-      case "number":
-        CONFIG[configKey] = Number(savedValue);
-        break;
-      case "string":
-        CONFIG[configKey] = String(savedValue);
-        break;
-    }
-  }
+  // Starts from the defaults, so settings reset elsewhere get picked up, and
+  // stored values that don't fit the schema fall back to them
+  state.baseConfig = readSettings(await chromeStorage.getAll());
+  applyActiveProfile();
 }
 
 // URL Change Observer
@@ -1830,10 +6956,33 @@ async function loadVocabContent() {
   }
 }
 
+async function evictExpiredCacheEntries() {
+  try {
+    const db = await IndexedDBManager.open();
+    const deleted = await IndexedDBManager.evictExpired(db);
+    if (deleted > 0) console.log(`Evicted ${deleted} expired cache entries`);
+  } catch (error) {
+    console.error("Error evicting expired cache entries:", error);
+  }
+}
+
 // Initialize Extension
 async function initializeExtension() {
+  await loadProfiles();
   await loadConfig();
+  await loadSync();
+  await migrateStoredFavorites();
+  await loadDeckFilter();
+  await loadProviderSettings();
+  await loadOfflinePacks();
+  evictExpiredCacheEntries();
   await loadVocabContent();
+  await loadWordLists();
+  await loadActiveWordList();
+  await loadKnownWords();
+  await loadRanking();
+  await loadKeybindings();
+  updateRankingVersion();
   setPageWidth();
   setVocabSize();
 
@@ -1843,6 +6992,31 @@ async function initializeExtension() {
   window.addEventListener("load", onPageLoad);
   window.addEventListener("popstate", onPageLoad);
   window.addEventListener("hashchange", onPageLoad);
+  document.addEventListener("keydown", handleKeybinding);
+  chrome.storage.onChanged.addListener(onSettingsChanged);
+}
+
+// Applies settings changed in the options page, the popup or another tab
+async function onSettingsChanged(changes, area) {
+  if (area !== "local") return;
+  const keys = Object.keys(changes);
+  if (!keys.some((key) => key.startsWith("CONFIG.") || key === PROFILES_KEY)) {
+    return;
+  }
+
+  if (keys.includes(PROFILES_KEY)) await loadProfiles();
+  await loadConfig();
+  applyConfigToPage();
+}
+
+// Re-renders with the current CONFIG, e.g. after a profile switch
+function applyConfigToPage() {
+  setPageWidth();
+  setVocabSize();
+  refreshExamples();
+  if (document.getElementById("immersion-kit-container")) {
+    renderImageAndPlayAudio(state.vocab, false);
+  }
 }
 
 // Start the extension
@@ -1,7 +1,11 @@
 window.DEFAULT_FAVORITES = {
   かもしれない: [
-    "https://us-southeast-1.linodeobjects.com/immersionkit/media/anime/Steins%20Gate/media/A_SteinsGateS01_E06_1_0.08.26.656.jpg",
-    "https://us-southeast-1.linodeobjects.com/immersionkit/media/anime/Steins%20Gate/media/A_SteinsGateS01_E06_1_0.08.26.072-0.08.27.239.mp3",
-    "…かもしれない",
+    {
+      image_url:
+        "https://us-southeast-1.linodeobjects.com/immersionkit/media/anime/Steins%20Gate/media/A_SteinsGateS01_E06_1_0.08.26.656.jpg",
+      sound_url:
+        "https://us-southeast-1.linodeobjects.com/immersionkit/media/anime/Steins%20Gate/media/A_SteinsGateS01_E06_1_0.08.26.072-0.08.27.239.mp3",
+      sentence: "…かもしれない",
+    },
   ],
 };
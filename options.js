@@ -0,0 +1,200 @@
+"use strict";
+
+// Builds a control for every setting in SETTINGS_SCHEMA, by group. Values are
+// validated with parseSettingValue and only saved when all of them are valid.
+const form = document.getElementById("settings");
+const status = document.getElementById("status");
+const controls = {};
+
+function createControl(key, field, value) {
+  const control = document.createElement("div");
+  control.className = "control";
+
+  switch (field.type) {
+    case "boolean": {
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = value;
+      control.append(checkbox);
+      return { control, read: () => checkbox.checked };
+    }
+
+    case "color": {
+      // A color input can't be empty, so the theme color has its own toggle
+      const colorInput = document.createElement("input");
+      colorInput.type = "color";
+      colorInput.value = value || "#3d8dff";
+      colorInput.disabled = !value;
+      const themeLabel = document.createElement("label");
+      const themeCheckbox = document.createElement("input");
+      themeCheckbox.type = "checkbox";
+      themeCheckbox.checked = !value;
+      themeCheckbox.addEventListener("change", () => {
+        colorInput.disabled = themeCheckbox.checked;
+      });
+      themeLabel.append(themeCheckbox, " Theme color");
+      control.append(colorInput, themeLabel);
+      return {
+        control,
+        read: () => (themeCheckbox.checked ? "" : colorInput.value),
+      };
+    }
+
+    case "choice": {
+      const select = document.createElement("select");
+      for (const [option, label] of Object.entries(field.options)) {
+        select.append(new Option(label, option));
+      }
+      select.value = value;
+      control.append(select);
+      return { control, read: () => select.value };
+    }
+
+    case "text": {
+      const textInput = document.createElement("input");
+      textInput.type = "text";
+      textInput.value = value;
+      control.append(textInput);
+      return { control, read: () => textInput.value };
+    }
+
+    default: {
+      const numberInput = document.createElement("input");
+      numberInput.type = "number";
+      numberInput.min = field.min;
+      numberInput.max = field.max;
+      numberInput.step = field.step;
+      numberInput.value = getSettingNumber(key, value);
+
+      if (field.slider) {
+        const slider = document.createElement("input");
+        slider.type = "range";
+        slider.min = field.min;
+        slider.max = field.max;
+        slider.step = field.step;
+        slider.value = numberInput.value;
+        slider.addEventListener("input", () => {
+          numberInput.value = slider.value;
+        });
+        numberInput.addEventListener("input", () => {
+          slider.value = numberInput.value;
+        });
+        control.append(slider);
+      }
+
+      control.append(numberInput);
+      if (field.unit) control.append(field.unit);
+      return { control, read: () => numberInput.value };
+    }
+  }
+}
+
+async function render() {
+  const settings = await loadStoredSettings();
+  const profiles = await loadStoredProfiles();
+  form.innerHTML = "";
+
+  for (const [group, keys] of getSettingGroups()) {
+    const heading = document.createElement("h2");
+    heading.textContent = group;
+    form.append(heading);
+
+    for (const key of keys) {
+      const field = SETTINGS_SCHEMA[key];
+      const row = document.createElement("div");
+      row.className = "setting";
+
+      const label = document.createElement("label");
+      label.textContent = getSettingLabel(key);
+
+      const description = document.createElement("div");
+      description.className = "description";
+      description.textContent = field.requiresReload
+        ? `${field.description} Needs a reload of open jpdb.io tabs.`
+        : field.description;
+      label.append(description);
+
+      const overrides = describeSettingOverrides(profiles, key);
+      if (overrides) {
+        const note = document.createElement("div");
+        note.className = "override";
+        note.textContent = overrides;
+        label.append(note);
+      }
+
+      const error = document.createElement("div");
+      error.className = "error";
+
+      const { control, read } = createControl(key, field, settings[key]);
+      controls[key] = { read, error };
+      row.append(label, control, error);
+      form.append(row);
+    }
+  }
+}
+
+async function save() {
+  const values = {};
+  let valid = true;
+
+  for (const [key, { read, error }] of Object.entries(controls)) {
+    const result = parseSettingValue(key, read());
+    error.textContent = result.error || "";
+    if (result.error) {
+      valid = false;
+    } else {
+      values[key] = result.value;
+    }
+  }
+  if (valid) {
+    for (const [key, message] of Object.entries(checkSettings(values))) {
+      controls[key].error.textContent = message;
+      valid = false;
+    }
+  }
+
+  if (!valid) {
+    status.textContent = "Some settings aren't valid, nothing was saved.";
+    return;
+  }
+  await storeSettings(values);
+  status.textContent = "Saved. Open jpdb.io tabs update right away.";
+}
+
+async function reset() {
+  if (!confirm("Reset all settings to their defaults?")) return;
+  await resetSettings();
+  await render();
+  status.textContent = "Settings were reset to their defaults.";
+}
+
+// AnkiConnect URLs other than the defaults in the manifest need an optional
+// host permission, and asking for one takes a click on an extension page
+const ankiPermission = document.getElementById("anki-permission");
+
+async function getAnkiOrigins() {
+  const { ANKI_SETTINGS: settings } = await chrome.storage.local.get(
+    "ANKI_SETTINGS"
+  );
+  return settings?.url ? [`${new URL(settings.url).origin}/*`] : [];
+}
+
+async function renderAnkiPermission() {
+  const origins = await getAnkiOrigins();
+  ankiPermission.hidden =
+    origins.length === 0 || (await chrome.permissions.contains({ origins }));
+  document.getElementById("anki-url").textContent = origins[0] || "";
+}
+
+document.getElementById("anki-allow").addEventListener("click", async () => {
+  const origins = await getAnkiOrigins();
+  if (await chrome.permissions.request({ origins })) {
+    status.textContent = "Anki export can reach its URL now.";
+  }
+  await renderAnkiPermission();
+});
+renderAnkiPermission();
+
+document.getElementById("save").addEventListener("click", save);
+document.getElementById("reset").addEventListener("click", reset);
+render();
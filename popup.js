@@ -0,0 +1,34 @@
+"use strict";
+
+// Quick toggles, saved as soon as they're changed. A toggle a profile
+// overrides saves the stored value, so the profile is named below it.
+async function render() {
+  const settings = await loadStoredSettings();
+  const profiles = await loadStoredProfiles();
+  const toggles = document.getElementById("toggles");
+
+  for (const key of QUICK_SETTINGS) {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = settings[key];
+    checkbox.addEventListener("change", () =>
+      storeSettings({ [key]: checkbox.checked })
+    );
+    label.append(getSettingLabel(key), checkbox);
+    toggles.append(label);
+
+    const overrides = describeSettingOverrides(profiles, key);
+    if (overrides) {
+      const note = document.createElement("div");
+      note.className = "override";
+      note.textContent = overrides;
+      toggles.append(note);
+    }
+  }
+}
+
+document
+  .getElementById("options")
+  .addEventListener("click", () => chrome.runtime.openOptionsPage());
+render();
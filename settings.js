@@ -0,0 +1,613 @@
+"use strict";
+
+/*
+Settings shared by the content script, the options page and the popup. Each
+one is described by its schema entry:
+  type: "boolean", "number", "length" (a CSS size, stored with its unit like
+        "400px"), "color" ("#rrggbb", or "" for jpdb's theme color), "text"
+        or "choice" (one of the keys of options)
+  options: the values of a choice, with their labels
+  unit: the CSS unit of a length, or the unit shown next to a number
+  min, max, step: bounds of numbers and lengths
+  slider: show a slider in the options page
+  label: shown instead of the name derived from the key
+  group: the heading it's listed under
+  description: help text shown next to it
+  requiresReload: it only takes effect once jpdb pages are reloaded
+Values are stored in chrome.storage.local as "CONFIG.<key>", and anything that
+doesn't fit the schema is replaced by the default when loading.
+*/
+window.SETTINGS_SCHEMA = {
+  IMAGE_WIDTH: {
+    type: "length",
+    unit: "px",
+    default: "400px",
+    min: 100,
+    max: 1200,
+    step: 10,
+    slider: true,
+    group: "Layout",
+    description: "Width of the example image.",
+  },
+  WIDE_MODE: {
+    type: "boolean",
+    default: true,
+    group: "Layout",
+    description:
+      "Show the examples next to the meanings instead of above them.",
+    requiresReload: true,
+  },
+  ARROW_WIDTH: {
+    type: "length",
+    unit: "px",
+    default: "45px",
+    min: 10,
+    max: 150,
+    step: 5,
+    slider: true,
+    group: "Layout",
+    description: "Width of the previous and next buttons.",
+  },
+  ARROW_HEIGHT: {
+    type: "length",
+    unit: "px",
+    default: "35px",
+    min: 10,
+    max: 150,
+    step: 5,
+    slider: true,
+    group: "Layout",
+    description: "Height of the previous and next buttons.",
+  },
+  PAGE_WIDTH: {
+    type: "length",
+    unit: "rem",
+    default: "75rem",
+    min: 30,
+    max: 200,
+    step: 5,
+    slider: true,
+    group: "Layout",
+    description: "Maximum width of jpdb pages, to make room for the examples.",
+  },
+  VOCAB_SIZE: {
+    type: "length",
+    unit: "%",
+    default: "250%",
+    min: 50,
+    max: 500,
+    step: 10,
+    slider: true,
+    group: "Layout",
+    description: "Font size of the word on review cards.",
+  },
+  ENABLE_EXAMPLE_TRANSLATION: {
+    type: "boolean",
+    default: true,
+    group: "Text",
+    description: "Show the English translation under the sentence.",
+  },
+  TRANSLATION_REVEAL: {
+    type: "choice",
+    options: {
+      shown: "Shown",
+      blurred: "Blurred",
+      click: "Click to reveal",
+    },
+    default: "shown",
+    group: "Text",
+    description:
+      "Show the translation right away, blurred or behind a button. Click it or use the reveal shortcut to see it.",
+  },
+  BLUR_QUESTION_SENTENCE: {
+    type: "boolean",
+    default: false,
+    group: "Text",
+    description:
+      "Show the examples on the review question side too, with the sentence and translation blurred until they're revealed.",
+  },
+  REVEAL_AFTER_SECONDS: {
+    type: "number",
+    unit: "s",
+    default: 0,
+    min: 0,
+    max: 60,
+    step: 1,
+    group: "Text",
+    description:
+      "Reveal blurred or hidden text after this long. 0 waits for a click or key.",
+  },
+  REVEAL_AFTER_AUDIO: {
+    type: "boolean",
+    default: false,
+    group: "Text",
+    description: "Reveal blurred or hidden text once the sentence has played.",
+  },
+  SENTENCE_FONT_SIZE: {
+    type: "length",
+    unit: "%",
+    default: "120%",
+    min: 50,
+    max: 300,
+    step: 5,
+    slider: true,
+    group: "Text",
+    description: "Font size of the Japanese sentence.",
+  },
+  TRANSLATION_FONT_SIZE: {
+    type: "length",
+    unit: "%",
+    default: "85%",
+    min: 50,
+    max: 300,
+    step: 5,
+    slider: true,
+    group: "Text",
+    description: "Font size of the translation.",
+  },
+  COLORED_SENTENCE_TEXT: {
+    type: "boolean",
+    default: true,
+    group: "Text",
+    description: "Highlight the word in the sentence.",
+  },
+  SENTENCE_HIGHLIGHT_COLOR: {
+    type: "color",
+    default: "",
+    group: "Text",
+    description:
+      "Color of the highlighted word. Empty uses jpdb's theme color.",
+  },
+  SOUND_VOLUME: {
+    type: "number",
+    unit: "%",
+    default: 80,
+    min: 0,
+    max: 100,
+    step: 5,
+    slider: true,
+    group: "Audio",
+    description: "Volume of the example audio.",
+  },
+  PLAYBACK_SPEED: {
+    type: "number",
+    unit: "%",
+    default: 100,
+    min: 25,
+    max: 400,
+    step: 5,
+    slider: true,
+    group: "Audio",
+    description: "Playback speed. The pitch stays the same.",
+  },
+  AUDIO_REPEAT_COUNT: {
+    type: "number",
+    default: 1,
+    min: 0,
+    max: 20,
+    step: 1,
+    group: "Audio",
+    description: "How many times each clip plays. 0 repeats it until stopped.",
+  },
+  SHADOWING_MODE: {
+    type: "boolean",
+    default: false,
+    group: "Audio",
+    description:
+      "Pause after each play for as long as the clip, to repeat it out loud.",
+  },
+  AUDIO_START_OFFSET_MS: {
+    type: "number",
+    unit: "ms",
+    default: 50,
+    min: 0,
+    max: 1000,
+    step: 10,
+    group: "Audio",
+    description: "Skip this much of the start of each clip.",
+  },
+  AUDIO_FADE_IN_MS: {
+    type: "number",
+    unit: "ms",
+    default: 100,
+    min: 0,
+    max: 1000,
+    step: 10,
+    group: "Audio",
+    description: "Fade the volume in over this long, to avoid clicks.",
+  },
+  AUTO_PLAY_SOUND: {
+    type: "boolean",
+    default: true,
+    group: "Autoplay",
+    description:
+      "Play the example audio automatically. Off turns it off everywhere.",
+  },
+  AUTO_PLAY_VOCABULARY_PAGES: {
+    type: "boolean",
+    default: true,
+    group: "Autoplay",
+    description: "Autoplay on vocabulary pages.",
+  },
+  AUTO_PLAY_KANJI_PAGES: {
+    type: "boolean",
+    default: true,
+    group: "Autoplay",
+    description: "Autoplay on kanji pages.",
+  },
+  AUTO_PLAY_SEARCH_PAGES: {
+    type: "boolean",
+    default: true,
+    group: "Autoplay",
+    description: "Autoplay on search results.",
+  },
+  AUTO_PLAY_REVIEW_QUESTION: {
+    type: "boolean",
+    default: false,
+    group: "Autoplay",
+    description: "Autoplay on the question side of reviews.",
+  },
+  AUTO_PLAY_REVIEW_ANSWER: {
+    type: "boolean",
+    default: true,
+    group: "Autoplay",
+    description: "Autoplay once the answer is shown.",
+  },
+  AUTO_PLAY_FIRST_EXAMPLE_ONLY: {
+    type: "boolean",
+    default: false,
+    group: "Autoplay",
+    description:
+      "Only autoplay the first example of each card, not when browsing.",
+  },
+  PLAY_JPDB_WORD_AUDIO_FIRST: {
+    type: "boolean",
+    default: false,
+    group: "Autoplay",
+    description: "Play jpdb's audio of the word before the sentence.",
+  },
+  MINIMUM_EXAMPLE_LENGTH: {
+    type: "number",
+    unit: "chars",
+    default: 0,
+    min: 0,
+    max: 500,
+    step: 1,
+    group: "Examples",
+    description: "Hide sentences shorter than this. 0 shows all.",
+  },
+  MAXIMUM_EXAMPLE_LENGTH: {
+    type: "number",
+    unit: "chars",
+    default: 0,
+    min: 0,
+    max: 500,
+    step: 1,
+    group: "Examples",
+    description: "Hide sentences longer than this. 0 means no maximum.",
+  },
+  NUMBER_OF_PRELOADS: {
+    type: "number",
+    default: 1,
+    min: 0,
+    max: 10,
+    step: 1,
+    group: "Examples",
+    description: "How many of the next examples' images to load ahead.",
+  },
+  PREFETCH_UPCOMING: {
+    type: "boolean",
+    default: true,
+    label: "Refresh Past Words",
+    group: "Prefetch and Cache",
+    description:
+      "During reviews, keep the examples of words reviewed here before cached, longest ago first, refetching ones that expired or were dropped. jpdb doesn't say which cards come next, so this can't fetch those.",
+  },
+  PREFETCH_WORD_COUNT: {
+    type: "number",
+    default: 5,
+    min: 0,
+    max: 50,
+    step: 1,
+    group: "Prefetch and Cache",
+    description: "How many past words to refresh after each card.",
+  },
+  PREFETCH_MEDIA_COUNT: {
+    type: "number",
+    default: 2,
+    min: 0,
+    max: 10,
+    step: 1,
+    group: "Prefetch and Cache",
+    description: "How many examples of each refreshed word to load media for.",
+  },
+  CACHE_MAX_ENTRIES: {
+    type: "number",
+    default: 0,
+    min: 0,
+    max: 1000000,
+    step: 1000,
+    group: "Prefetch and Cache",
+    description:
+      "Words to keep cached before the least recently used are dropped. 0 means no limit.",
+  },
+  CACHE_TTL_DAYS: {
+    type: "number",
+    unit: "days",
+    default: 0,
+    min: 0,
+    max: 3650,
+    step: 1,
+    group: "Prefetch and Cache",
+    description:
+      "Refetch cached words after this many days. 0 keeps them forever.",
+  },
+};
+
+// Shown as toggles in the toolbar popup
+window.QUICK_SETTINGS = [
+  "AUTO_PLAY_SOUND",
+  "WIDE_MODE",
+  "ENABLE_EXAMPLE_TRANSLATION",
+];
+
+window.getSettingDefaults = () =>
+  Object.fromEntries(
+    Object.entries(window.SETTINGS_SCHEMA).map(([key, field]) => [
+      key,
+      field.default,
+    ])
+  );
+
+window.getSettingLabel = (key) =>
+  window.SETTINGS_SCHEMA[key]?.label ||
+  key
+    .replace(/_/g, " ")
+    .split(" ")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(" ");
+
+// Settings grouped by their group, in schema order: [[group, [key]]]
+window.getSettingGroups = () => {
+  const groups = new Map();
+  for (const [key, field] of Object.entries(window.SETTINGS_SCHEMA)) {
+    if (!groups.has(field.group)) groups.set(field.group, []);
+    groups.get(field.group).push(key);
+  }
+  return [...groups];
+};
+
+// The number part of a number or length, for inputs and sliders
+window.getSettingNumber = (key, value) =>
+  window.SETTINGS_SCHEMA[key].type === "length" ? parseFloat(value) : value;
+
+// Turns an entered or stored value into a valid one. Lengths can be given
+// with or without their unit. With clamp, numbers out of range are moved into
+// it instead of being an error. Returns { value } or { error }.
+window.parseSettingValue = (key, input, { clamp = false } = {}) => {
+  const field = window.SETTINGS_SCHEMA[key];
+  if (!field) return { error: `Unknown setting ${key}` };
+
+  switch (field.type) {
+    case "boolean":
+      if (input === true || input === "true") return { value: true };
+      if (input === false || input === "false") return { value: false };
+      return { error: "Must be on or off" };
+
+    case "color":
+      if (input === "" || /^#[0-9a-f]{6}$/i.test(input)) {
+        return { value: String(input).toLowerCase() };
+      }
+      return { error: "Pick a color" };
+
+    case "text":
+      return typeof input === "string"
+        ? { value: input }
+        : { error: "Enter text" };
+
+    case "choice":
+      return field.options.hasOwnProperty(input)
+        ? { value: input }
+        : { error: "Pick one of the options" };
+
+    case "number":
+    case "length": {
+      let text = String(input).trim();
+      if (field.type === "length" && text.endsWith(field.unit)) {
+        text = text.slice(0, -field.unit.length);
+      }
+      let number = Number(text);
+      if (text === "" || !Number.isFinite(number)) {
+        return {
+          error:
+            field.type === "length"
+              ? `Enter a size in ${field.unit}`
+              : "Enter a number",
+        };
+      }
+      if (clamp) {
+        number = Math.min(Math.max(number, field.min), field.max);
+      } else if (number < field.min || number > field.max) {
+        return { error: `Must be between ${field.min} and ${field.max}` };
+      }
+      return {
+        value: field.type === "length" ? `${number}${field.unit}` : number,
+      };
+    }
+
+    default:
+      return { error: `Unknown type ${field.type}` };
+  }
+};
+
+// Checks between settings that are each valid on their own, for a full set of
+// parsed values. Returns { [key]: error }, empty when they all fit together.
+window.checkSettings = (values) => {
+  const errors = {};
+  if (
+    values.MAXIMUM_EXAMPLE_LENGTH > 0 &&
+    values.MINIMUM_EXAMPLE_LENGTH > values.MAXIMUM_EXAMPLE_LENGTH
+  ) {
+    errors.MINIMUM_EXAMPLE_LENGTH = `Must not be more than the maximum (${values.MAXIMUM_EXAMPLE_LENGTH})`;
+  }
+  return errors;
+};
+
+// Stored values for every setting. Numbers out of range are clamped, and
+// missing or unreadable values fall back to the defaults.
+window.readSettings = (stored) => {
+  const settings = window.getSettingDefaults();
+  for (const key of Object.keys(settings)) {
+    const value = stored[`CONFIG.${key}`];
+    if (value === null || value === undefined) continue;
+
+    const result = window.parseSettingValue(key, value, { clamp: true });
+    if (result.error) {
+      console.warn(`Ignoring stored ${key} (${value}): ${result.error}`);
+    } else {
+      settings[key] = result.value;
+    }
+  }
+  return settings;
+};
+
+window.loadStoredSettings = async () =>
+  window.readSettings(await chrome.storage.local.get(null));
+
+// With sync on, changes from the options page or the popup are stamped in
+// SYNC_MODIFIED like the content script does, and an open jpdb tab pushes
+// them. Returns the items to store along with the change.
+async function getSyncStamp(keys) {
+  const { SYNC_SETTINGS, SYNC_MODIFIED } = await chrome.storage.local.get([
+    "SYNC_SETTINGS",
+    "SYNC_MODIFIED",
+  ]);
+  if (!SYNC_SETTINGS?.enabled) return {};
+
+  const modified = { ...SYNC_MODIFIED };
+  for (const key of keys) modified[key] = Date.now();
+  return { SYNC_MODIFIED: modified };
+}
+
+// Saves settings from the options page or the popup
+window.storeSettings = async (values) => {
+  const items = {};
+  for (const [key, value] of Object.entries(values)) {
+    items[`CONFIG.${key}`] = value;
+  }
+  await chrome.storage.local.set({
+    ...items,
+    ...(await getSyncStamp(Object.keys(items))),
+  });
+};
+
+// Resets every setting to its default. With sync on, the removals are stamped
+// too, so they're pushed instead of being brought back by the next pull.
+window.resetSettings = async () => {
+  const keys = Object.keys(window.SETTINGS_SCHEMA).map(
+    (key) => `CONFIG.${key}`
+  );
+  const stamp = await getSyncStamp(keys);
+  await chrome.storage.local.remove(keys);
+  if (stamp.SYNC_MODIFIED) await chrome.storage.local.set(stamp);
+};
+
+// How a value reads in a sentence, e.g. "on" or "400 px"
+window.formatSettingValue = (key, value) => {
+  const field = window.SETTINGS_SCHEMA[key];
+  if (field.type === "boolean") return value ? "on" : "off";
+  if (field.type === "color") return value || "the theme color";
+  if (field.type === "choice") return field.options[value].toLowerCase();
+  if (field.type === "number" && field.unit) return `${value} ${field.unit}`;
+  return String(value);
+};
+
+/*
+Settings profiles override some settings, either everywhere (the one picked
+by hand, "selected") or on the page types they're bound to. Stored under
+"PROFILES"; the content script applies them, and the options page and the
+popup point out the settings they override.
+*/
+window.PROFILE_PAGE_TYPES = {
+  reviewQuestion: "Review question",
+  reviewAnswer: "Review answer",
+  vocabulary: "Vocabulary",
+  kanji: "Kanji",
+  search: "Search",
+};
+
+window.isProfileSetting = (key) =>
+  window.SETTINGS_SCHEMA.hasOwnProperty(key) &&
+  !window.SETTINGS_SCHEMA[key].requiresReload;
+
+window.normalizeProfiles = (value) => {
+  const profiles = [];
+  for (const profile of Array.isArray(value?.profiles) ? value.profiles : []) {
+    if (typeof profile?.id !== "string") continue;
+
+    const overrides = {};
+    for (const [key, override] of Object.entries(profile.overrides || {})) {
+      if (!window.isProfileSetting(key)) continue;
+      const result = window.parseSettingValue(key, override);
+      if (!result.error) overrides[key] = result.value;
+    }
+    profiles.push({
+      id: profile.id,
+      name: String(profile.name || "Unnamed"),
+      overrides,
+    });
+  }
+
+  // Drop references to profiles that were removed
+  const ids = new Set(profiles.map((profile) => profile.id));
+  const bindings = {};
+  for (const pageType of Object.keys(window.PROFILE_PAGE_TYPES)) {
+    if (ids.has(value?.bindings?.[pageType])) {
+      bindings[pageType] = value.bindings[pageType];
+    }
+  }
+
+  return {
+    profiles,
+    selected: ids.has(value?.selected) ? value.selected : null,
+    bindings,
+  };
+};
+
+window.loadStoredProfiles = async () =>
+  window.normalizeProfiles(
+    (await chrome.storage.local.get("PROFILES")).PROFILES
+  );
+
+// Says which profiles override key and where, or "" if none do, for settings
+// shown outside of jpdb.io where no page type applies
+window.describeSettingOverrides = (profiles, key) => {
+  const findProfile = (id) =>
+    profiles.profiles.find((profile) => profile.id === id);
+  const describe = (profile, where) =>
+    `The "${profile.name}" profile sets this to ${window.formatSettingValue(
+      key,
+      profile.overrides[key]
+    )}${where}.`;
+
+  // A profile picked by hand applies everywhere, bindings or not
+  if (profiles.selected) {
+    const profile = findProfile(profiles.selected);
+    return key in profile.overrides ? describe(profile, "") : "";
+  }
+
+  const pageTypes = new Map();
+  for (const [pageType, id] of Object.entries(profiles.bindings)) {
+    const profile = findProfile(id);
+    if (!(key in profile.overrides)) continue;
+    if (!pageTypes.has(profile)) pageTypes.set(profile, []);
+    pageTypes
+      .get(profile)
+      .push(window.PROFILE_PAGE_TYPES[pageType].toLowerCase());
+  }
+  return [...pageTypes]
+    .map(([profile, types]) =>
+      describe(profile, ` for ${new Intl.ListFormat("en").format(types)} pages`)
+    )
+    .join(" ");
+};